@@ -7,14 +7,67 @@
  */
 
 // Const
-const env     = typeof window !== "undefined" ? window : global,
-    http      = typeof window !== "undefined" ? null : require('http'),
-    https     = typeof window !== "undefined" ? null : require('https'),
-    codes     = typeof window !== "undefined" ? {} : http.STATUS_CODES,
-    location  = env.location || {},
-    XP        = env.XP || require('expandjs'),
-    XPBuffer  = env.XPBuffer || require('xp-buffer'),
-    XPEmitter = env.XPEmitter || require('xp-emitter');
+const node        = typeof process !== "undefined" && !!process.versions && !!process.versions.node,
+    env           = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    http          = node ? require('http') : null,
+    https         = node ? require('https') : null,
+    tls           = node ? require('tls') : null,
+    crypto        = node ? require('crypto') : null,
+    stream        = node ? require('stream') : null,
+    zlib          = node ? require('zlib') : null,
+    codes         = node ? http.STATUS_CODES : {},
+    location      = env.location || {},
+    XP            = env.XP || require('expandjs'),
+    XPBuffer      = env.XPBuffer || require('xp-buffer'),
+    XPCookieJar   = require('./jar'),
+    XPEmitter     = env.XPEmitter || require('xp-emitter'),
+    XPMemoryStore = require('./store'),
+    XPMockAdapter = require('./mock'),
+    XPRateLimiter = require('./limiter');
+
+// Adapters
+const adapters = {
+    mock: new XPMockAdapter()
+};
+
+// Adapters (fetch)
+if (typeof fetch !== 'undefined') { adapters.fetch = {type: 'fetch', request: (url, init) => fetch(url, init)}; }
+
+// Adapters (server)
+if (http) { adapters.http = {type: 'http', request: options => (options.protocol.startsWith('https') ? https : http).request(options)}; }
+
+// Adapters (browser)
+if (typeof XMLHttpRequest !== 'undefined') { adapters.xhr = {type: 'xhr', request: () => new XMLHttpRequest()}; }
+
+// Adapter
+let adapter = http ? 'http' : (adapters.xhr ? 'xhr' : 'fetch');
+
+// Parsers
+const parsers = {
+    buffer: {accept: null},
+    json: {accept: 'application/json', parse: data => /\S/.test(data) ? JSON.parse(data) : null},
+    stream: {accept: 'application/x-ndjson, text/event-stream'},
+    text: {accept: 'text/*', parse: data => data}
+};
+
+// Cache
+const memory = new XPMemoryStore();
+
+// Flights
+const flights = new Map();
+
+// Limiters
+const limiters = {};
+
+// Agents
+const agents = {};
+
+// Interceptors
+const interceptors = {
+    error: [],
+    request: [],
+    response: []
+};
 
 /*********************************************************************/
 
@@ -63,6 +116,37 @@ module.exports = new XP.Class('XPRequest', {
      * @param {Object} response
      */
 
+    /**
+     * Emitted in "stream" mode when a server-sent event is received.
+     *
+     * @event message
+     * @param {Object} message
+     */
+
+    /**
+     * Emitted in "stream" mode when a NDJSON record is received.
+     * A line that is not valid JSON fails the request with a "parse" error.
+     *
+     * @event record
+     * @param {*} record
+     */
+
+    /**
+     * Emitted when a redirect is followed.
+     *
+     * @event redirect
+     * @param {string} location
+     * @param {number} statusCode
+     */
+
+    /**
+     * Emitted when a failed attempt is going to be retried.
+     *
+     * @event retry
+     * @param {number} attempt
+     * @param {Object} error
+     */
+
     /**
      * Emitted when the request's state changes.
      *
@@ -77,19 +161,94 @@ module.exports = new XP.Class('XPRequest', {
      * @param {Buffer | string} data
      */
 
+    /**
+     * Emitted when the request is held back by the rate limiter.
+     *
+     * @event throttled
+     * @param {number} delay
+     */
+
+    /**
+     * Emitted shortly after the data is downloaded, when the request's timings are measured.
+     *
+     * @event timing
+     * @param {Object} timings
+     */
+
+    /**
+     * Emitted when a chunk of data is uploaded.
+     *
+     * @event upload
+     * @param {number} loaded
+     * @param {number} total
+     */
+
     /*********************************************************************/
 
     /**
      * @constructs
      * @param {Object | string} options The request's url or options
+     *   @param {Object | string} [options.adapter] The transport adapter, or the name of a registered one, by default the one set with `useAdapter`
+     *   @param {Object} [options.agent] The `http.Agent` or `https.Agent` to use on server side, instead of the shared ones
+     *   @param {string} [options.arrayFormat = "repeat"] How arrays are encoded in queries and form bodies, between "brackets", "comma", "indices" and "repeat"
+     *   @param {Object} [options.auth] The authentication scheme
+     *     @param {string} options.auth.type The scheme's type, between "basic", "bearer" and "digest"
+     *     @param {Function} [options.auth.getToken] With "bearer", a function returning (or resolving) the token, called again with `true` to refresh it on 401
+     *     @param {string} [options.auth.pass] With "basic" and "digest", the password
+     *     @param {string} [options.auth.token] With "bearer", the token
+     *     @param {string} [options.auth.user] With "basic" and "digest", the username
+     *   @param {string} [options.baseURL] The url that relative urls and paths are appended to
+     *   @param {Object | boolean} [options.cache] The store used to cache GET responses, true to use the shared in-memory one
+     *   @param {number} [options.connectTimeout = 0] How long to wait for the socket to connect, in milliseconds
+     *   @param {boolean} [options.decompress = true] Specifies if compressed responses should be decoded on server side
+     *   @param {boolean} [options.dedupe = false] Specifies if concurrent identical GET and HEAD requests should share the same network call
+     *   @param {string} [options.encoding = "json"] How to encode collections sent as the request's body
+     *   @param {Object} [options.fetch] The Fetch API's options, used with the "fetch" adapter
+     *     @param {string} [options.fetch.cache] How to interact with the browser's HTTP cache, as `cache` in `fetch`
+     *     @param {string} [options.fetch.credentials] When to send cookies and credentials, as `credentials` in `fetch`
+     *     @param {string} [options.fetch.mode] The request's mode, as `mode` in `fetch`
+     *     @param {string} [options.fetch.redirect] How to handle redirects, as `redirect` in `fetch`
+     *   @param {number} [options.freeSocketTimeout = 0] How long idle sockets are kept alive on server side, in milliseconds
      *   @param {Object} [options.headers] An object containing request headers
      *   @param {string} [options.hostname] The request's hostname, usable in alternative to url
-     *   @param {number} [options.keepAlive = 0] How often to submit TCP KeepAlive packets over sockets being kept alive
+     *   @param {number} [options.idleTimeout = 0] How long to wait between two downloaded chunks, in milliseconds
+     *   @param {Object} [options.interceptors] The instance's hooks, run after the global ones in `XPRequest.interceptors`
+     *     @param {Array | Function} [options.interceptors.error] The hooks called with `{data, error, replay}` when the request fails
+     *     @param {Array | Function} [options.interceptors.request] The hooks called with `{body, headers, method, url}` before the request is sent
+     *     @param {Array | Function} [options.interceptors.response] The hooks called with `{data, error, replay}` when the request succeeds
+     *   @param {XPCookieJar | boolean} [options.jar] The cookie jar to use on server side, true to create a new one
+     *   @param {number} [options.keepAlive = 0] How often to submit TCP KeepAlive packets over sockets being kept alive, 0 to not keep sockets alive
+     *   @param {number} [options.maxRedirects = 10] The maximum number of redirects to follow on server side, 0 to not follow
+     *   @param {number} [options.maxReplays = 5] The maximum number of times interceptors can replay the request
+     *   @param {number} [options.maxSockets = 0] The maximum number of sockets per host on server side, 0 for no limit
      *   @param {string} [options.method = "GET"] A string specifying the HTTP request method
+     *   @param {Object} [options.params] The values expanded in the url's or path's RFC 6570 template, as in "/users/{id}/posts{?page}"
      *   @param {string} [options.parser = "json"] The type of data expected back from the server
      *   @param {string} [options.path] The request's path, usable in alternative to url
      *   @param {number} [options.port] The request's port, usable in alternative to url
      *   @param {number} [options.protocol = "http:"] The request's protocol, usable in alternative to url
+     *   @param {boolean | string} [options.proxy] The proxy's url on server side, false to ignore HTTP_PROXY, HTTPS_PROXY and NO_PROXY
+     *   @param {Object | boolean} [options.rateLimit] The rate limit shared by the requests to the same host, true to only adapt to the server's headers, or a `XPRateLimiter` to share
+     *     @param {number} [options.rateLimit.interval = 1000] The interval in which `requests` can be sent, in milliseconds
+     *     @param {number} [options.rateLimit.requests = 0] The number of requests allowed per interval, 0 for no limit
+     *   @param {number} [options.responseTimeout = 0] How long to wait for the response, in milliseconds
+     *   @param {Object | number} [options.retry] The retry policy, or the maximum number of attempts
+     *     @param {number} [options.retry.attempts = 3] The maximum number of attempts
+     *     @param {number} [options.retry.delay = 100] The backoff base delay, in milliseconds
+     *     @param {number} [options.retry.jitter = 0.5] The ratio of the delay to randomize, between 0 and 1
+     *     @param {number} [options.retry.maxDelay = 30000] The backoff maximum delay, in milliseconds
+     *     @param {Array} [options.retry.methods] The methods that can be retried, idempotent ones by default
+     *     @param {Array} [options.retry.statusCodes] The status codes that can be retried
+     *   @param {Object} [options.tls] The TLS options used on server side with "https:"
+     *     @param {Array | Buffer | string} [options.tls.ca] The trusted CA certificates, replacing the default ones
+     *     @param {Buffer | string} [options.tls.cert] The client certificate, for mutual TLS
+     *     @param {Buffer | string} [options.tls.key] The client certificate's private key
+     *     @param {string} [options.tls.minVersion] The minimum TLS version allowed, as "TLSv1.2"
+     *     @param {string} [options.tls.passphrase] The passphrase of `key` or `pfx`
+     *     @param {Buffer | string} [options.tls.pfx] The client certificate and its private key, as PFX or PKCS12
+     *     @param {Array} [options.tls.pins] The accepted server's public key hashes, as "sha256/<base64>", or certificate SHA-256 fingerprints
+     *     @param {boolean} [options.tls.rejectUnauthorized = true] Specifies if certificates not signed by a trusted CA should be rejected
+     *     @param {string} [options.tls.servername] The server name sent through SNI
      *   @param {string} [options.url] The request's url
      * @param {Function} resolver The promise callback
      */
@@ -102,31 +261,346 @@ module.exports = new XP.Class('XPRequest', {
 
             // Overriding
             if (!XP.isObject(options)) { options = {url: options}; }
-            if (!XP.isFalsy(options.url)) { Object.assign(options, XP.pick(XP.parseURL(options.url), ['hostname', 'path', 'port', 'protocol'])); }
+
+            // Let
+            let url = this._combine(options.baseURL, XP.isFalsy(options.url) && options.baseURL && !options.hostname ? options.path || '' : options.url);
+
+            // Overriding
+            if (!XP.isFalsy(url)) { Object.assign(options, XP.pick(XP.parseURL(this._expand(url, options.params)), ['hostname', 'path', 'port', 'protocol'])); }
+            else if (XP.isString(options.path)) { options.path = this._expand(options.path, options.params); }
 
             // Setting
-            this.downLoaded = 0;
-            this.chunks     = [];
-            this.state      = 'idle';
-            this.options    = options;
-            this.headers    = this.options.headers || {};
-            this.hostname   = this.options.hostname || location.hostname || '';
-            this.keepAlive  = this.options.keepAlive || 0;
-            this.method     = this.options.method || 'GET';
-            this.parser     = this.options.parser || 'json';
-            this.path       = this.options.path || '';
-            this.port       = this.options.port || !this.options.hostname && location.port || null;
-            this.protocol   = this.options.protocol || !this.options.hostname && location.protocol || 'http:';
-            this.url        = XP.toURL({hostname: this.hostname, pathname: this.pathname, port: this.port, protocol: this.protocol, search: this.search});
+            this._auth             = {challenge: null, count: 0, refreshed: false, stale: false, token: null};
+            this._cached           = null;
+            this._decoder          = null;
+            this._feed             = null;
+            this._flight           = null;
+            this._hop              = null;
+            this._marks            = {};
+            this._parser           = null;
+            this._replays          = 0;
+            this._stopped          = false;
+            this._streamed         = false;
+            this._subscribers      = null;
+            this._timers           = {};
+            this.downDecoded       = 0;
+            this.downLoaded        = 0;
+            this.upLoaded          = 0;
+            this.chunks            = [];
+            this.redirects         = [];
+            this.retries           = [];
+            this.state             = 'idle';
+            this.options           = options;
+            this.adapter           = this.options.adapter || adapter;
+            this.agent             = this.options.agent || null;
+            this.arrayFormat       = this.options.arrayFormat || 'repeat';
+            this.auth              = this.options.auth || null;
+            this.baseURL           = this.options.baseURL || null;
+            this.cache             = this.options.cache || null;
+            this.connectTimeout    = this.options.connectTimeout || 0;
+            this.decompress        = this.options.decompress !== false;
+            this.dedupe            = !!this.options.dedupe;
+            this.encoding          = this.options.encoding || 'json';
+            this.fetch             = this.options.fetch || {};
+            this.freeSocketTimeout = this.options.freeSocketTimeout || 0;
+            this.fromCache         = false;
+            this.headers           = this.options.headers || {};
+            this.hostname          = this.options.hostname || location.hostname || '';
+            this.idleTimeout       = this.options.idleTimeout || 0;
+            this.interceptors      = this.options.interceptors || {};
+            this.jar               = this.options.jar || null;
+            this.keepAlive         = this.options.keepAlive || 0;
+            this.maxRedirects      = XP.isDefined(this.options.maxRedirects) ? this.options.maxRedirects : 10;
+            this.maxReplays        = XP.isDefined(this.options.maxReplays) ? this.options.maxReplays : 5;
+            this.maxSockets        = this.options.maxSockets || 0;
+            this.method            = this.options.method || 'GET';
+            this.params            = this.options.params || null;
+            this.parser            = this.options.parser || 'json';
+            this.path              = this.options.path || '';
+            this.port              = this.options.port || !this.options.hostname && location.port || null;
+            this.protocol          = this.options.protocol || !this.options.hostname && location.protocol || 'http:';
+            this.proxy             = XP.isDefined(this.options.proxy) ? this.options.proxy : null;
+            this.rateLimit         = this.options.rateLimit || null;
+            this.responseTimeout   = this.options.responseTimeout || 0;
+            this.retry             = this.options.retry || {attempts: 1};
+            this.tls               = this.options.tls || {};
+            this.url               = XP.toURL({hostname: this.hostname, pathname: this.pathname, port: this.port, protocol: this.protocol, search: this.search});
+            this._transport        = this.adapter.type;
 
             // Binding
+            this._handleConnect  = this._handleConnect.bind(this);
+            this._handleData     = this._handleData.bind(this);
             this._handleDownload = this._handleDownload.bind(this);
-            this._handleEnd      = this._handleEnd.bind(this, resolver);
-            this._handleError    = this._handleError.bind(this, resolver);
+            this._handleEnd      = this._handleEnd.bind(this);
+            this._handleError    = this._handleError.bind(this);
+            this._handleFetch    = this._handleFetch.bind(this);
+            this._handleHeaders  = this._handleHeaders.bind(this);
             this._handleResponse = this._handleResponse.bind(this, resolver);
+            this._handleSocket   = this._handleSocket.bind(this);
+            this._handleTimeout  = this._handleTimeout.bind(this);
+            this._handleTiming   = this._handleTiming.bind(this);
+            this._handleUpload   = this._handleUpload.bind(this);
+            this._settle         = this._settle.bind(this, resolver);
+        }
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Returns an async iterator over the pages of a paginated resource, submitting a new request for each page.
+     * The pages' data is yielded, or the pages' items with `flatten`.
+     *
+     * By default, the next page is the one linked by the response's Link header with rel="next".
+     * Otherwise, `next` is called with the last page's request and returns (or resolves) the next page's url,
+     * or its options merged into `options`, or a falsy value to stop.
+     *
+     * Breaking out of the loop, or calling `abort` on the iterator, aborts the pending request and stops the iteration.
+     *
+     * ```js
+     * for await (let item of XPRequest.paginate('https://example.com/items', {flatten: true, maxItems: 500})) { ... }
+     *
+     * let pages = XPRequest.paginate({url: 'https://example.com/search'}, {
+     *     items: data => data.results,
+     *     next: request => request.data.cursor && `?cursor=${request.data.cursor}`
+     * });
+     * ```
+     *
+     * @method paginate
+     * @param {Object | string} options The first page's request options, or its url
+     * @param {Object} [pagination]
+     *   @param {boolean} [pagination.flatten = false] Specifies if the pages' items should be yielded instead of the pages' data
+     *   @param {Function} [pagination.items] The function returning the items of a page, called with its data and its request, by default the data itself
+     *   @param {number} [pagination.maxItems = 0] The maximum number of items, 0 for no limit
+     *   @param {number} [pagination.maxPages = 0] The maximum number of pages, 0 for no limit
+     *   @param {Function} [pagination.next] The function returning the next page, called with the last page's request
+     * @returns {Object}
+     * @static
+     */
+    paginate: {
+        static: true,
+        value(options, pagination) {
+
+            // Asserting
+            XP.assertArgument(XP.isObject(options) || XP.isString(options, true), 1, 'Object or string');
+            XP.assertArgument(XP.isVoid(pagination) || XP.isObject(pagination), 2, 'Object');
+            XP.assertOption(XP.isVoid(pagination && pagination.items) || XP.isFunction(pagination.items), 'pagination.items', 'Function');
+            XP.assertOption(XP.isVoid(pagination && pagination.maxItems) || XP.isInt(pagination.maxItems, true), 'pagination.maxItems', 'number');
+            XP.assertOption(XP.isVoid(pagination && pagination.maxPages) || XP.isInt(pagination.maxPages, true), 'pagination.maxPages', 'number');
+            XP.assertOption(XP.isVoid(pagination && pagination.next) || XP.isFunction(pagination.next), 'pagination.next', 'Function');
+
+            // Let
+            let settings = Object.assign({items: data => data, next: request => request.links.next && request.links.next.url}, pagination),
+                first    = XP.isObject(options) ? options : {url: options},
+                target   = first,
+                request  = null,
+                queue    = [],
+                items    = 0,
+                pages    = 0,
+                ended    = false,
+                stop     = null,
+                stopped  = new Promise(resolve => { stop = resolve; });
+
+            // Handlers
+            let load = () => {
+                let current = new module.exports(target);
+                request = current;
+                pages  += 1;
+                return current.submit().then(data => {
+                    if (ended) { return; }
+                    let found = settings.items(data, current);
+                    found = XP.isVoid(found) ? [] : [].concat(found);
+                    if (settings.flatten && settings.maxItems) { found = found.slice(0, settings.maxItems - items); }
+                    items += found.length;
+                    queue.push.apply(queue, settings.flatten ? found : [data]);
+                    if ((settings.maxPages && pages >= settings.maxPages) || (settings.maxItems && items >= settings.maxItems)) { target = null; return; }
+                    return Promise.resolve(settings.next(current)).then(result => {
+                        target = result ? Object.assign({}, first, XP.isString(result) ? {url: new URL(result, current.url).href} : result) : null;
+                    });
+                });
+            };
+            let next = () => {
+                if (queue.length) { return Promise.resolve({done: false, value: queue.shift()}); }
+                if (ended || !target) { ended = true; return Promise.resolve({done: true, value: undefined}); }
+                return Promise.race([stopped, load()]).then(next, error => { ended = true; throw error; });
+            };
+            let abort = () => {
+                ended        = true;
+                queue.length = 0;
+                if (request) { request.abort(); }
+                stop();
+            };
+
+            // Returning
+            return {
+                abort: abort,
+                next: next,
+                return: () => {
+                    abort();
+                    return Promise.resolve({done: true, value: undefined});
+                },
+                [Symbol.asyncIterator]() { return this; }
+            };
+        }
+    },
+
+    /**
+     * Registers a transport adapter, making `name` usable as `adapter` option.
+     *
+     * An adapter has a `type`, telling which interface the object returned by `request` implements:
+     * with "fetch", `request` is called like `fetch` and returns a promise resolving a Response,
+     * with "http", it is called with the options of Node's `http.request` and returns a ClientRequest,
+     * with "xhr", it is called with no arguments and returns a XMLHttpRequest.
+     *
+     * Built-in adapters are "http" on server side, "xhr" in the browser, "fetch" where the Fetch API is available,
+     * and "mock" (a shared `XPMockAdapter`). Without XMLHttpRequest, as in service workers, "fetch" is used by default.
+     *
+     * @method registerAdapter
+     * @param {string} name The adapter's name
+     * @param {Object} adapter The adapter's definition
+     *   @param {Function} adapter.request The function creating the object the request is sent through
+     *   @param {string} adapter.type The interface implemented by the created object, between "fetch", "http" and "xhr"
+     * @static
+     */
+    registerAdapter: {
+        static: true,
+        value(name, adapter) {
+
+            // Asserting
+            XP.assertArgument(XP.isString(name, true), 1, 'string');
+            XP.assertArgument(XP.isObject(adapter) && XP.isFunction(adapter.request), 2, 'Object');
+            XP.assertOption(['fetch', 'http', 'xhr'].includes(adapter.type), 'adapter.type', '"fetch", "http" or "xhr"');
+
+            // Registering
+            adapters[name] = adapter;
+        }
+    },
+
+    /**
+     * Registers a parser, making `name` usable as `parser` option.
+     *
+     * ```js
+     * XPRequest.registerParser('csv', {
+     *     accept: 'text/csv',
+     *     parse(data) { return data.split('\n').map(line => line.split(',')); }
+     * });
+     * ```
+     *
+     * @method registerParser
+     * @param {string} name The parser's name
+     * @param {Object} parser The parser's definition
+     *   @param {string} [parser.accept] The media types handled by the parser, used as default Accept header and in "auto" mode
+     *   @param {boolean} [parser.binary = false] Specifies if `parse` expects a buffer instead of a string
+     *   @param {Function} parser.parse The function used to parse the response's body, called with the body and the request
+     * @static
+     */
+    registerParser: {
+        static: true,
+        value(name, parser) {
+
+            // Asserting
+            XP.assertArgument(XP.isString(name, true) && name !== 'auto', 1, 'string');
+            XP.assertArgument(XP.isObject(parser) && XP.isFunction(parser.parse), 2, 'Object');
+            XP.assertOption(XP.isVoid(parser.accept) || XP.isString(parser.accept, true), 'parser.accept', 'string');
+
+            // Registering
+            parsers[name] = {accept: parser.accept || null, binary: !!parser.binary, parse: parser.parse};
+        }
+    },
+
+    /**
+     * Sets the transport adapter used by the requests created from now on, when they have no `adapter` option.
+     *
+     * ```js
+     * XPRequest.useAdapter('mock');
+     *
+     * XPRequest.adapters.mock.when('/items', {body: []});
+     * ```
+     *
+     * @method useAdapter
+     * @param {Object | string} value The adapter, or the name of a registered one
+     * @static
+     */
+    useAdapter: {
+        static: true,
+        value(value) {
+
+            // Asserting
+            XP.assertArgument(XP.isString(value) ? !!adapters[value] : XP.isObject(value) && XP.isFunction(value.request) && ['fetch', 'http', 'xhr'].includes(value.type), 1, 'Object or string');
+
+            // Setting
+            adapter = value;
         }
     },
 
+    /**
+     * The cookie jar class, usable as `jar` option and shareable between requests.
+     *
+     * ```js
+     * let jar = new XPRequest.CookieJar();
+     *
+     * await new XPRequest({url: 'https://example.com/login', method: 'POST', jar: jar}).submit(credentials);
+     * await new XPRequest({url: 'https://example.com/profile', jar: jar}).submit();
+     * ```
+     *
+     * @property CookieJar
+     * @type Function
+     * @static
+     */
+    CookieJar: {
+        static: true,
+        value: XPCookieJar
+    },
+
+    /**
+     * The in-memory cache store class, usable as `cache` option.
+     *
+     * ```js
+     * let cache = new XPRequest.MemoryStore({max: 500});
+     *
+     * await new XPRequest({url: 'https://example.com/items', cache: cache}).submit();
+     * ```
+     *
+     * @property MemoryStore
+     * @type Function
+     * @static
+     */
+    MemoryStore: {
+        static: true,
+        value: XPMemoryStore
+    },
+
+    /**
+     * The mock adapter class, usable as `adapter` option to answer requests with canned responses in tests.
+     *
+     * ```js
+     * let mock = new XPRequest.MockAdapter();
+     *
+     * mock.when({method: 'GET', url: '/items'}, {body: [{id: 1}]});
+     *
+     * await new XPRequest({url: 'https://example.com/items', adapter: mock}).submit();
+     * ```
+     *
+     * @property MockAdapter
+     * @type Function
+     * @static
+     */
+    MockAdapter: {
+        static: true,
+        value: XPMockAdapter
+    },
+
+    /**
+     * The rate limiter class, usable as `rateLimit` option to share a limit across hosts.
+     *
+     * @property RateLimiter
+     * @type Function
+     * @static
+     */
+    RateLimiter: {
+        static: true,
+        value: XPRateLimiter
+    },
+
     /*********************************************************************/
 
     /**
@@ -145,6 +619,44 @@ module.exports = new XP.Class('XPRequest', {
         return this.headers[name];
     },
 
+    /**
+     * Get a response header, case-insensitively. Multiple values are joined with commas.
+     *
+     * @method getResponseHeader
+     * @param {string} name
+     * @returns {string}
+     */
+    getResponseHeader(name) {
+
+        // Asserting
+        XP.assertArgument(XP.isString(name, true), 1, 'string');
+
+        // Let
+        let value = this.responseHeaders && this.responseHeaders[name.toLowerCase()];
+
+        // Returning
+        return XP.isArray(value) ? value.join(', ') : (XP.isDefined(value) ? value : null);
+    },
+
+    /**
+     * Get all the values of a response header, case-insensitively (e.g. one per Set-Cookie header).
+     *
+     * @method getResponseHeaders
+     * @param {string} name
+     * @returns {Array}
+     */
+    getResponseHeaders(name) {
+
+        // Asserting
+        XP.assertArgument(XP.isString(name, true), 1, 'string');
+
+        // Let
+        let value = this.responseHeaders && this.responseHeaders[name.toLowerCase()];
+
+        // Returning
+        return [].concat(XP.isDefined(value) ? value : []);
+    },
+
     /**
      * Set a header.
      *
@@ -168,10 +680,68 @@ module.exports = new XP.Class('XPRequest', {
         this.headers[name] = value.toString();
     },
 
+    /**
+     * Returns an async iterator over the received data, also used by `for await...of` on the instance.
+     * In "stream" mode, NDJSON records and server-sent events are yielded as they arrive, otherwise the data is yielded once.
+     * Breaking out of the loop aborts a pending request.
+     *
+     * @method iterate
+     * @returns {Object}
+     */
+    iterate() {
+
+        // Let
+        let queue   = [],
+            waiters = [],
+            ended   = false,
+            failure = null;
+
+        // Handlers
+        let flush = () => {
+            while (waiters.length && (queue.length || ended || failure)) {
+                let waiter = waiters.shift();
+                if (queue.length) { waiter.resolve({done: false, value: queue.shift()}); }
+                else if (failure) { waiter.reject(failure); }
+                else { waiter.resolve({done: true, value: undefined}); }
+            }
+        };
+        let push = value => {
+            queue.push(value);
+            flush();
+        };
+        let state = value => {
+            if (value === 'complete' && this._parser !== 'stream') { queue.push(this.data); }
+            if (value === 'aborted' || value === 'complete') { ended = true; }
+            if (value === 'failed' || value === 'timeout') { failure = this.error; }
+            if (ended || failure) { this.removeListener('message', push).removeListener('record', push).removeListener('state', state); }
+            flush();
+        };
+
+        // Listening
+        this.on('message', push);
+        this.on('record', push);
+        this.on('state', state);
+
+        // Checking
+        if (this.tsData || this.tsAbort) { state(this.state); }
+
+        // Returning
+        return {
+            next: () => new Promise((resolve, reject) => { waiters.push({resolve: resolve, reject: reject}); flush(); }),
+            return: () => {
+                queue.length = 0;
+                if (this.state === 'pending') { this.abort(); } else { state('aborted'); }
+                return Promise.resolve({done: true, value: undefined});
+            },
+            [Symbol.asyncIterator]() { return this; }
+        };
+    },
+
     /*********************************************************************/
 
     /**
-     * Aborts the request.
+     * Aborts the request, rejecting the submit's promise with an "abort" error.
+     * An idle request is aborted as well, so that it can no longer be submitted.
      *
      * @method abort
      * @param {Function} [callback]
@@ -182,15 +752,23 @@ module.exports = new XP.Class('XPRequest', {
         value(callback) {
 
             // Checking
-            if (this.tsAbort || !this.tsSubmit) { callback(null, false); return; }
+            if (this.tsAbort || (this.state !== 'idle' && this.state !== 'pending')) { callback(null, false); return; }
+
+            // Clearing
+            this._clearTimeouts();
 
             // Aborting
-            this.adaptee.abort();
+            if (this.adaptee) { this.adaptee.abort(); }
+
+            // Unsubscribing
+            this._unsubscribe();
 
             // Setting
-            this.state   = 'aborted';
             this.tsAbort = Date.now();
 
+            // Settling
+            this._settle('aborted', {data: null, error: this._error('abort', 0, 'Request aborted.'), replay: false});
+
             // Callback
             callback(null, true);
         }
@@ -198,6 +776,24 @@ module.exports = new XP.Class('XPRequest', {
 
     /**
      * Submits the request, using `data` for the request's body.
+     * Besides inputs and collections, `data` can be binary (Buffer, ArrayBuffer or typed array),
+     * a readable stream on server side, or a Blob/File in the browser.
+     * Without a body, as with GET, collections are merged into the url's query, replacing its homonymous parameters.
+     *
+     * Collections are encoded according to `encoding`. With "multipart", a field can be a file,
+     * provided as binary, stream, Blob or as an object like `{value, filename, contentType}`.
+     *
+     * Request interceptors run before anything is sent: they are called with `{body, headers, method, url}`
+     * and the request, and can change the context in place or return (or resolve) a new one.
+     * Response and error interceptors are called the same way with `{data, error, replay}` once the request ends,
+     * and can transform `data`, swap or clear `error`, or set `replay` to send the request again, up to `maxReplays` times.
+     *
+     * With `cache`, fresh GET responses are served from the store without any network activity, while stale ones
+     * are revalidated with If-None-Match/If-Modified-Since: in both cases, `fromCache` is set to true.
+     *
+     * With `dedupe`, a GET or HEAD request joins an identical one already in flight (same method, url, headers,
+     * credentials and parser), still getting its own events and its own copy of `data`.
+     * The network call is aborted only when all of its requests are aborted.
      *
      * @method submit
      * @param {*} [data]
@@ -209,78 +805,30 @@ module.exports = new XP.Class('XPRequest', {
         value(data, callback) {
 
             // Checking
-            if (!XP.isVoid(data) && !XPBuffer.isBuffer(data) && !XP.isInput(data) && !XP.isCollection(data)) { callback(XP.error(400)); return; }
+            if (!this._typeOf(data)) { callback(XP.error(400)); return; }
 
             // Preventing
-            if (this.tsSubmit) { return; }
+            if (this.state !== 'idle') { return; }
 
             // Callback
             this.ready(callback);
 
-            // Let
-            let write = ['PATCH', 'POST', 'PUT'].includes(this.method),
-                query = write ? '' : XP.toQueryString(data, true),
-                body  = write ? data : undefined;
-
-            // Casting
-            if (body && XP.isCollection(data) && !XPBuffer.isBuffer(data)) { body = JSON.stringify(data); }
-
-            // CASE: server
-            if (http) {
-
-                // Let
-                let protocol = this.protocol.startsWith('https') ? https : http;
-
-                // Adapting
-                let request = this.adaptee = protocol.request({
-                    hostname: this.hostname,
-                    keepAlive: this.keepAlive > 0,
-                    keepAliveMsecs: this.keepAlive,
-                    method: this.method,
-                    path: this.pathname + (query || this.search),
-                    port: this.port,
-                    protocol: this.protocol,
-                    withCredentials: false
-                });
-
-                // Headers
-                Object.keys(this.headers).forEach(key => XP.isInput(this.headers[key], true) && request.setHeader(key, this.headers[key]));
-
-                // Listening
-                request.once('error',    this._handleError);
-                request.once('response', this._handleResponse);
-            }
-
-            // CASE: browser
-            if (!http) {
-
-                // Adapting
-                let xhr = this.adaptee = new XMLHttpRequest();
-
-                // Opening
-                xhr.open(this.method, query ? `${this.url.replace(/\?.*/, ``)}${query}` : this.url, true);
-
-                // Headers
-                Object.keys(this.headers).forEach(key => XP.isInput(this.headers[key], true) && xhr.setRequestHeader(key, this.headers[key]));
+            // Setting
+            this.body  = data;
+            this.state = 'pending';
 
-                // Listening
-                xhr.addEventListener('progress', this._handleResponse);
-                xhr.addEventListener('progress', this._handleDownload);
-                xhr.addEventListener('load', this._handleResponse);
-                xhr.addEventListener('load', this._handleEnd);
-                xhr.addEventListener('error', this._handleError);
-                xhr.upload.addEventListener('error', this._handleError);
-            }
+            // Intercepting
+            this._intercept('request', {body: data, headers: Object.assign({}, this.headers), method: this.method, url: this.url}, config => {
 
-            // Setting
-            this.state    = 'pending';
-            this.tsSubmit = Date.now();
+                // Checking
+                if (this.state !== 'pending') { return; }
 
-            // Sending
-            this.adaptee[http ? 'end' : 'send'](body);
+                // Failing
+                if (config.error || !this._configure(config)) { this._settle('failed', {data: null, error: config.error || XP.error(400)}); return; }
 
-            // Emitting
-            this.emit('submit', data);
+                // Authorizing
+                this._token(false, error => this._start(error));
+            });
         }
     },
 
@@ -298,401 +846,2571 @@ module.exports = new XP.Class('XPRequest', {
     },
 
     /**
-     * The received chunks.
+     * The transport adapter the request is sent through.
      *
-     * @property chunks
-     * @type Array
+     * @property adapter
+     * @type Object
+     * @readonly
      */
-    chunks: {
-        set(val) { return this.chunks || val; },
-        validate(val) { return !XP.isArray(val) && 'Array'; }
+    adapter: {
+        set(val) { return this.adapter || (XP.isString(val) ? adapters[val] : val); },
+        validate(val) { return !(XP.isObject(val) && XP.isFunction(val.request) && ['fetch', 'http', 'xhr'].includes(val.type)) && 'Object'; }
     },
 
     /**
-     * The received data.
+     * The `http.Agent` or `https.Agent` used on server side, instead of the shared ones.
+     * When set, `proxy` is ignored.
      *
-     * @property data
-     * @type *
+     * @property agent
+     * @type Object
      * @readonly
      */
-    data: {
-        set(val) { return XP.isDefined(this.data) ? this.data : val; }
+    agent: {
+        set(val) { return this.agent || val; },
+        validate(val) { return !XP.isNull(val) && !XP.isObject(val) && 'Object'; }
     },
 
     /**
-     * The downloaded bytes.
+     * How arrays are encoded in queries and form bodies: "repeat" as `a=1&a=2`, "brackets" as `a[]=1&a[]=2`,
+     * "indices" as `a[0]=1&a[1]=2` and "comma" as `a=1,2`. Nested objects are always encoded as `a[b]=1`.
      *
-     * @property downLoaded
-     * @type Number
+     * @property arrayFormat
+     * @type string
+     * @default "repeat"
      * @readonly
      */
-    downLoaded: {
-        set(val) { return val; },
-        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    arrayFormat: {
+        set(val) { return this.arrayFormat || val; },
+        validate(val) { return !['brackets', 'comma', 'indices', 'repeat'].includes(val) && 'string'; }
     },
 
     /**
-     * The download ratio.
+     * The current attempt's number.
      *
-     * @property downRatio
-     * @type Number
+     * @property attempt
+     * @type number
      * @readonly
      */
-    downRatio: {
-        get() { return XP.isVoid(this.downTotal) ? null : (this.downTotal ? this.downLoaded / this.downTotal : 1); }
+    attempt: {
+        get() { return this.retries.length + 1; }
     },
 
     /**
-     * The download total.
+     * The authentication scheme.
      *
-     * @property downTotal
-     * @type Number
+     * @property auth
+     * @type Object
      * @readonly
      */
-    downTotal: {
-        set(val) { return XP.isDefined(this.downTotal) ? this.downTotal : val; },
-        validate(val) { return !XP.isNull(val) && !XP.isInt(val, true) && 'number'; }
+    auth: {
+        set(val) { return this.auth || val; },
+        validate(val) {
+            if (XP.isNull(val)) { return false; }
+            if (!XP.isObject(val) || !['basic', 'bearer', 'digest'].includes(val.type)) { return 'Object'; }
+            if (val.type === 'bearer') { return !XP.isString(val.token, true) && !XP.isFunction(val.getToken) && 'Object'; }
+            return (!XP.isString(val.user, true) || !XP.isString(val.pass, true)) && 'Object';
+        }
     },
 
     /**
-     * The received error message.
+     * The url that relative urls and paths are appended to.
      *
-     * @property error
-     * @type Object
+     * @property baseURL
+     * @type string
      * @readonly
      */
-    error: {
-        set(val) { return XP.isDefined(this.error) ? this.error : val; },
-        validate(val) { return !XP.isNull(val) && !XP.isObject(val) && 'Object'; }
+    baseURL: {
+        set(val) { return XP.isDefined(this.baseURL) ? this.baseURL : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isString(val, true) && 'string'; }
     },
 
     /**
-     * An object containing request headers.
+     * The request's body, as submitted.
      *
-     * @property headers
-     * @type Object
+     * @property body
+     * @type *
+     * @readonly
      */
-    headers: {
-        set(val) { return this.headers || (XP.isObject(val) && XP.cloneDeep(val)); },
-        validate(val) { return !XP.isObject(val) && 'Object'; }
+    body: {
+        set(val) { return XP.isDefined(this.body) ? this.body : val; }
     },
 
     /**
-     * The request's host.
+     * The store used to cache GET responses.
+     * Responses to requests with credentials (`auth`, an Authorization or Cookie header, or the jar's cookies)
+     * are stored only if their Cache-Control has "public", "s-maxage" or "must-revalidate".
      *
-     * @property host
-     * @type string
+     * @property cache
+     * @type Object
      * @readonly
      */
-    host: {
-        get() { return `${this.hostname || ``}${this.port ? `:${this.port}` : ``}`; }
+    cache: {
+        set(val) { return this.cache || (val === true ? memory : val); },
+        validate(val) { return !XP.isNull(val) && val !== true && !(XP.isObject(val) && ['delete', 'get', 'set'].every(key => XP.isFunction(val[key]))) && 'Object'; }
     },
 
     /**
-     * The request's hostname.
+     * The received chunks.
      *
-     * @property hostname
-     * @type string
+     * @property chunks
+     * @type Array
      */
-    hostname: {
-        set(val) { return this.hostname || val; },
-        validate(val) { return !XP.isString(val, true) && 'string'; }
+    chunks: {
+        set(val) { return this.chunks || val; },
+        validate(val) { return !XP.isArray(val) && 'Array'; }
     },
 
     /**
-     * How often to submit TCP KeepAlive packets over sockets being kept alive.
+     * How long to wait for the socket to connect, in milliseconds.
+     * In the browser, the connection is considered established as soon as the headers are received or the upload starts.
      *
-     * @property keepAlive
+     * @property connectTimeout
      * @type number
      * @default 0
      */
-    keepAlive: {
-        set(val) { return XP.isDefined(this.keepAlive) ? this.keepAlive : val; },
+    connectTimeout: {
+        set(val) { return XP.isDefined(this.connectTimeout) ? this.connectTimeout : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * A string specifying the HTTP request method.
+     * The response's Content-Type, parsed into its lowercase media type and charset.
      *
-     * @property method
-     * @type string
-     * @default "GET"
+     * @property contentType
+     * @type Object
+     * @readonly
      */
-    method: {
-        set(val) { return this.method || XP.upperCase(val); },
-        validate(val) { return !XP.isString(val, true) && 'string'; }
+    contentType: {
+        get() { return this._contentType(); }
     },
 
     /**
-     * The type of data expected back from the server.
+     * The received data.
      *
-     * @property parser
-     * @type string
-     * @default "json"
+     * @property data
+     * @type *
+     * @readonly
      */
-    parser: {
-        set(val) { return this.parser || val; },
-        validate(val) { return !this.parsers.includes(val) && 'string'; }
+    data: {
+        set(val) { return XP.isDefined(this.data) ? this.data : val; }
     },
 
     /**
-     * The list of possible data types to expect back from the server.
+     * The response's Date, as timestamp.
      *
-     * @property parsers
-     * @type Array
-     * @default ["buffer", "json", "text"]
+     * @property date
+     * @type number
      * @readonly
      */
-    parsers: {
-        frozen: true,
-        writable: false,
-        value: ['buffer', 'json', 'text']
+    date: {
+        get() { return this._timestamp('date'); }
     },
 
     /**
-     * The request's path.
+     * Specifies if compressed responses should be decoded on server side.
+     * When true, gzip, deflate and brotli are advertised through a default Accept-Encoding header,
+     * except with the "buffer" parser, whose response is handed back as received.
+     * In the browser, responses are always decoded by XMLHttpRequest.
      *
-     * @property path
-     * @type string
+     * @property decompress
+     * @type boolean
+     * @default true
      */
-    path: {
-        set(val) { return XP.isDefined(this.path) ? this.path : val; },
-        then(val) { let parts = val.match(/([^?]*)(.*)/); this.pathname = parts[1]; this.query = parts[2].slice(1); },
-        validate(val) { return !XP.isString(val) && 'string'; }
+    decompress: {
+        set(val) { return XP.isDefined(this.decompress) ? this.decompress : val; },
+        validate(val) { return !XP.isBoolean(val) && 'boolean'; }
     },
 
     /**
-     * The request's pathname.
+     * If set to true, concurrent identical GET and HEAD requests share the same network call.
      *
-     * @property pathname
-     * @type string
+     * @property dedupe
+     * @type boolean
+     * @default false
      */
-    pathname: {
-        set(val) { return XP.isDefined(this.pathname) ? this.pathname : val; },
-        validate(val) { return !XP.isString(val) && 'string'; }
+    dedupe: {
+        set(val) { return XP.isDefined(this.dedupe) ? this.dedupe : val; },
+        validate(val) { return !XP.isBoolean(val) && 'boolean'; }
     },
 
     /**
-     * The request's port.
+     * The downloaded bytes, after decoding.
+     * Unlike `downLoaded` and `downTotal`, which count the bytes as transferred, this counts the decompressed bytes.
      *
-     * @property port
-     * @type number
+     * @property downDecoded
+     * @type Number
+     * @readonly
      */
-    port: {
-        set(val) { return XP.isDefined(this.port) ? this.port : val; },
-        validate(val) { return !XP.isNull(val) && !XP.isNumeric(val, true) && 'number'; }
+    downDecoded: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The request's protocol.
+     * The downloaded bytes.
      *
-     * @property protocol
-     * @type string
+     * @property downLoaded
+     * @type Number
+     * @readonly
      */
-    protocol: {
-        set(val) { return this.protocol || val; },
-        validate(val) { return !XP.isString(val, true) && 'string'; }
+    downLoaded: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The request's query.
+     * The download ratio.
      *
-     * @property query
-     * @type string
+     * @property downRatio
+     * @type Number
      * @readonly
      */
-    query: {
-        set(val) { return XP.isDefined(this.query) ? this.query : val; },
-        validate(val) { return !XP.isString(val) && 'string'; }
+    downRatio: {
+        get() { return XP.isVoid(this.downTotal) ? null : (this.downTotal ? this.downLoaded / this.downTotal : 1); }
     },
 
     /**
-     * The request's response.
+     * The download total.
      *
-     * @property response
-     * @type Object
+     * @property downTotal
+     * @type Number
      * @readonly
      */
-    response: {
-        set(val) { return this.response || val; },
-        validate(val) { return !XP.isObject(val) && 'Object'; }
+    downTotal: {
+        set(val) { return XP.isDefined(this.downTotal) ? this.downTotal : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The request's search.
+     * How to encode collections sent as the request's body.
      *
-     * @property search
+     * @property encoding
      * @type string
+     * @default "json"
+     */
+    encoding: {
+        set(val) { return this.encoding || val; },
+        validate(val) { return !this.encodings.includes(val) && 'string'; }
+    },
+
+    /**
+     * The list of possible encodings for collections sent as the request's body.
+     *
+     * @property encodings
+     * @type Array
+     * @default ["form", "json", "multipart"]
      * @readonly
      */
-    search: {
-        get() { return this.query ? `?${this.query}` : ``; }
+    encodings: {
+        frozen: true,
+        writable: false,
+        value: ['form', 'json', 'multipart']
     },
 
     /**
-     * The request's state.
+     * The received error message.
      *
-     * @property state
-     * @type string
-     * @default "idle"
+     * Besides `code` (the status code, 0 on network failures and 408 on timeouts), it has a `type` between "abort", "dns", "http",
+     * "network", "parse", "refused", "reset", "timeout" and "tls", the original error as `cause`, the request's `method` and `url`,
+     * and with "http" the response's `headers` and parsed `body` (or raw, if it can't be parsed).
+     * A response body that can't be parsed fails the request with a "parse" error.
+     *
+     * @property error
+     * @type Object
      * @readonly
      */
-    state: {
+    error: {
         set(val) { return val; },
-        then(val) { return val !== 'idle' && this.emit('state', val); },
-        validate(val) { return !this.states.includes(val) && 'string'; }
+        validate(val) { return !XP.isNull(val) && !XP.isObject(val) && 'Object'; }
     },
 
     /**
-     * The list of possible request's states.
+     * The Fetch API's options, used with the "fetch" adapter.
      *
-     * @property states
-     * @type Array
-     * @default ["aborted", "complete", "failed", "idle", "pending"]
+     * @property fetch
+     * @type Object
      * @readonly
      */
-    states: {
-        frozen: true,
-        writable: false,
-        value: ['aborted', 'complete', 'failed', 'idle', 'pending']
+    fetch: {
+        set(val) { return this.fetch || XP.pick(val, ['cache', 'credentials', 'mode', 'redirect']); },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
     },
 
     /**
-     * The request's status code.
+     * How long idle sockets are kept alive on server side, in milliseconds, 0 for no limit.
      *
-     * @property statusCode
+     * @property freeSocketTimeout
      * @type number
-     * @readonly
+     * @default 0
      */
-    statusCode: {
-        set(val) { return this.statusCode || val; },
+    freeSocketTimeout: {
+        set(val) { return XP.isDefined(this.freeSocketTimeout) ? this.freeSocketTimeout : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The request's status code.
+     * If set to true, the data comes from the cache.
      *
-     * @property statusMessage
+     * @property fromCache
+     * @type boolean
+     * @default false
+     * @readonly
+     */
+    fromCache: {
+        set(val) { return val; },
+        validate(val) { return !XP.isBoolean(val) && 'boolean'; }
+    },
+
+    /**
+     * An object containing request headers.
+     *
+     * @property headers
+     * @type Object
+     */
+    headers: {
+        set(val) { return this.headers || (XP.isObject(val) && XP.cloneDeep(val)); },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * The request's host.
+     *
+     * @property host
      * @type string
      * @readonly
      */
-    statusMessage: {
-        set(val) { return XP.isDefined(this.statusMessage) ? this.statusMessage : val; },
-        validate(val) { return !XP.isNull(val) && !XP.isString(val) && 'string'; }
+    host: {
+        get() { return `${this.hostname || ``}${this.port ? `:${this.port}` : ``}`; }
     },
 
     /**
-     * The response time.
+     * The request's hostname.
      *
-     * @property time
+     * @property hostname
+     * @type string
+     */
+    hostname: {
+        set(val) { return this.hostname || val; },
+        validate(val) { return !XP.isString(val, true) && 'string'; }
+    },
+
+    /**
+     * How long to wait between two downloaded chunks, in milliseconds.
+     *
+     * @property idleTimeout
      * @type number
+     * @default 0
+     */
+    idleTimeout: {
+        set(val) { return XP.isDefined(this.idleTimeout) ? this.idleTimeout : val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The instance's error, request and response hooks.
+     *
+     * @property interceptors
+     * @type Object
      * @readonly
      */
-    time: {
-        get() { return this.tsData ? this.tsData - this.tsSubmit : undefined; }
+    interceptors: {
+        set(val) { return this.interceptors || {error: [].concat(val.error || []), request: [].concat(val.request || []), response: [].concat(val.response || [])}; },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
     },
 
     /**
-     * The abort timestamp.
+     * The cookie jar used on server side.
      *
-     * @property tsAbort
-     * @type number
+     * @property jar
+     * @type XPCookieJar
      * @readonly
      */
-    tsAbort: {
-        set(val) { return this.tsAbort || val; },
+    jar: {
+        set(val) { return this.jar || (val === true ? new XPCookieJar() : val); },
+        validate(val) { return !XP.isNull(val) && val !== true && !(val instanceof XPCookieJar) && 'XPCookieJar'; }
+    },
+
+    /**
+     * How often to submit TCP KeepAlive packets over sockets being kept alive, 0 to not keep sockets alive.
+     * Requests with the same agent's settings share their sockets through the same `http.Agent` or `https.Agent`.
+     *
+     * @property keepAlive
+     * @type number
+     * @default 0
+     */
+    keepAlive: {
+        set(val) { return XP.isDefined(this.keepAlive) ? this.keepAlive : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The data timestamp.
+     * The response's Last-Modified, as timestamp.
      *
-     * @property tsData
+     * @property lastModified
      * @type number
      * @readonly
      */
-    tsData: {
-        set(val) { return this.tsData || val; },
+    lastModified: {
+        get() { return this._timestamp('last-modified'); }
+    },
+
+    /**
+     * The response's Link header, mapped by relation to the resolved url and the other parameters of each link.
+     * Links whose url cannot be resolved are skipped.
+     *
+     * ```js
+     * request.links.next; // {rel: 'next', url: 'https://example.com/items?page=2'}
+     * ```
+     *
+     * @property links
+     * @type Object
+     * @readonly
+     */
+    links: {
+        get() { return this.responseHeaders ? this._links() : null; }
+    },
+
+    /**
+     * The maximum number of redirects to follow on server side, 0 to not follow.
+     * In the browser, redirects are always followed by XMLHttpRequest.
+     *
+     * @property maxRedirects
+     * @type number
+     * @default 10
+     */
+    maxRedirects: {
+        set(val) { return XP.isDefined(this.maxRedirects) ? this.maxRedirects : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The response timestamp.
+     * The maximum number of times interceptors can replay the request, after which it settles with its last outcome.
+     * Replays are delayed with the same backoff of `retry`.
      *
-     * @property tsResponse
+     * @property maxReplays
      * @type number
-     * @readonly
+     * @default 5
      */
-    tsResponse: {
-        set(val) { return this.tsResponse || val; },
+    maxReplays: {
+        set(val) { return XP.isDefined(this.maxReplays) ? this.maxReplays : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The submit timestamp.
+     * The maximum number of sockets per host on server side, 0 for no limit.
      *
-     * @property tsSubmit
+     * @property maxSockets
      * @type number
-     * @readonly
+     * @default 0
      */
-    tsSubmit: {
-        set(val) { return this.tsSubmit || val; },
+    maxSockets: {
+        set(val) { return XP.isDefined(this.maxSockets) ? this.maxSockets : val; },
         validate(val) { return !XP.isInt(val, true) && 'number'; }
     },
 
     /**
-     * The request's url.
+     * A string specifying the HTTP request method.
      *
-     * @property url
+     * @property method
      * @type string
+     * @default "GET"
      */
-    url: {
-        set(val) { return this.url || val; },
+    method: {
+        set(val) { return this.method || XP.upperCase(val); },
         validate(val) { return !XP.isString(val, true) && 'string'; }
     },
 
-    /*********************************************************************/
-
-    // HANDLER
-    _handleDownload(event) {
-
-        // Pushing
-        if (http && this.parser !== 'buffer') { this.chunks.push(event); }
-
-        // Emitting
-        this.emit('download', this.downLoaded += http ? XP.byteLength(event) : event.loaded, this.downTotal);
+    /**
+     * The values expanded in the url's or path's RFC 6570 template.
+     *
+     * ```js
+     * new XPRequest({url: 'https://example.com/users/{id}/posts{?page,tags}', params: {id: 'a/b', page: 2, tags: ['x', 'y']}});
+     * // => https://example.com/users/a%2Fb/posts?page=2&tags=x,y
+     * ```
+     *
+     * @property params
+     * @type Object
+     * @readonly
+     */
+    params: {
+        set(val) { return XP.isDefined(this.params) ? this.params : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isObject(val) && 'Object'; }
     },
 
-    // HANDLER
-    _handleEnd(resolver, event) {
-
-        // Let
-        let data = this.parser !== 'buffer' ? (http ? this.chunks.join('') : event.target.response) : null;
-
-        // Setting
-        this.data   = this.parser === 'json' ? XP.toDefined(XP.parseJSON(data.toString())) : data;
-        this.state  = this.error ? 'failed' : 'complete';
-        this.tsData = Date.now();
-
-        // Emitting
-        this.emit(this.error ? 'error' : 'data', this.error || this.data);
-
-        // Resolving
-        if (this.parser !== 'buffer') { resolver(this.error, this.data); }
+    /**
+     * The type of data expected back from the server.
+     * With "stream", the response is parsed as it arrives, as server-sent events if its
+     * Content-Type is "text/event-stream", as NDJSON otherwise.
+     * With "auto", the parser is picked matching the response's Content-Type against the parsers' `accept`.
+     *
+     * @property parser
+     * @type string
+     * @default "json"
+     */
+    parser: {
+        set(val) { return this.parser || val; },
+        validate(val) { return !this.parsers.includes(val) && 'string'; }
     },
 
-    // HANDLER
-    _handleError(resolver, error) {
+    /**
+     * The list of possible data types to expect back from the server, including the registered ones.
+     *
+     * @property parsers
+     * @type Array
+     * @default ["auto", "buffer", "json", "stream", "text"]
+     * @readonly
+     */
+    parsers: {
+        get() { return ['auto'].concat(Object.keys(parsers)); }
+    },
+
+    /**
+     * The request's path.
+     *
+     * @property path
+     * @type string
+     */
+    path: {
+        set(val) { return XP.isDefined(this.path) ? this.path : val; },
+        then(val) { let parts = val.match(/([^?]*)(.*)/); this.pathname = parts[1]; this.query = parts[2].slice(1); },
+        validate(val) { return !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The request's pathname.
+     *
+     * @property pathname
+     * @type string
+     */
+    pathname: {
+        set(val) { return XP.isDefined(this.pathname) ? this.pathname : val; },
+        validate(val) { return !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The request's port.
+     *
+     * @property port
+     * @type number
+     */
+    port: {
+        set(val) { return XP.isDefined(this.port) ? this.port : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isNumeric(val, true) && 'number'; }
+    },
+
+    /**
+     * The request's protocol.
+     *
+     * @property protocol
+     * @type string
+     */
+    protocol: {
+        set(val) { return this.protocol || val; },
+        validate(val) { return !XP.isString(val, true) && 'string'; }
+    },
+
+    /**
+     * The proxy's url on server side, false to not use any.
+     * When null, it is read from the HTTP_PROXY and HTTPS_PROXY environment variables, unless the host is listed in NO_PROXY.
+     * HTTPS requests are tunneled with CONNECT, HTTP ones are forwarded, and the url's credentials are sent as Proxy-Authorization.
+     *
+     * @property proxy
+     * @type boolean | string
+     * @readonly
+     */
+    proxy: {
+        set(val) { return XP.isDefined(this.proxy) ? this.proxy : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isFalse(val) && !XP.isString(val, true) && 'string'; }
+    },
+
+    /**
+     * The request's rate limit, as `XPRateLimiter` or its options.
+     *
+     * @property rateLimit
+     * @type Object
+     * @readonly
+     */
+    rateLimit: {
+        set(val) { return this.rateLimit || (val === true ? {} : val); },
+        validate(val) { return !XP.isNull(val) && val !== true && !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * The request's query.
+     *
+     * @property query
+     * @type string
+     * @readonly
+     */
+    query: {
+        set(val) { return XP.isDefined(this.query) ? this.query : val; },
+        validate(val) { return !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The list of followed redirects, each with its url, status code and location.
+     *
+     * @property redirects
+     * @type Array
+     * @readonly
+     */
+    redirects: {
+        set(val) { return this.redirects || val; },
+        validate(val) { return !XP.isArray(val) && 'Array'; }
+    },
+
+    /**
+     * The request's response.
+     *
+     * @property response
+     * @type Object
+     * @readonly
+     */
+    response: {
+        set(val) { return this.response || val; },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * The response's headers, with lowercase names.
+     * Set-Cookie is always an array, while the other repeated headers are joined with commas.
+     *
+     * @property responseHeaders
+     * @type Object
+     * @readonly
+     */
+    responseHeaders: {
+        set(val) { return this.responseHeaders || val; },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * How long to wait for the response, in milliseconds.
+     *
+     * @property responseTimeout
+     * @type number
+     * @default 0
+     */
+    responseTimeout: {
+        set(val) { return XP.isDefined(this.responseTimeout) ? this.responseTimeout : val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The list of failed attempts that have been retried.
+     *
+     * @property retries
+     * @type Array
+     * @readonly
+     */
+    retries: {
+        set(val) { return this.retries || val; },
+        validate(val) { return !XP.isArray(val) && 'Array'; }
+    },
+
+    /**
+     * The retry policy.
+     *
+     * @property retry
+     * @type Object
+     * @readonly
+     */
+    retry: {
+        set(val) { return this.retry || Object.assign({attempts: 3, delay: 100, jitter: 0.5, maxDelay: 30000, methods: ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PUT', 'TRACE'], statusCodes: [408, 429, 500, 502, 503, 504]}, XP.isInt(val) ? {attempts: val} : val); },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * The request's search.
+     *
+     * @property search
+     * @type string
+     * @readonly
+     */
+    search: {
+        get() { return this.query ? `?${this.query}` : ``; }
+    },
+
+    /**
+     * The request's state.
+     *
+     * @property state
+     * @type string
+     * @default "idle"
+     * @readonly
+     */
+    state: {
+        set(val) { return val; },
+        then(val) { return val !== 'idle' && this.emit('state', val); },
+        validate(val) { return !this.states.includes(val) && 'string'; }
+    },
+
+    /**
+     * The list of possible request's states.
+     *
+     * @property states
+     * @type Array
+     * @default ["aborted", "complete", "failed", "idle", "pending", "timeout"]
+     * @readonly
+     */
+    states: {
+        frozen: true,
+        writable: false,
+        value: ['aborted', 'complete', 'failed', 'idle', 'pending', 'timeout']
+    },
+
+    /**
+     * The request's status code.
+     *
+     * @property statusCode
+     * @type number
+     * @readonly
+     */
+    statusCode: {
+        set(val) { return this.statusCode || val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The request's status code.
+     *
+     * @property statusMessage
+     * @type string
+     * @readonly
+     */
+    statusMessage: {
+        set(val) { return XP.isDefined(this.statusMessage) ? this.statusMessage : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The response time.
+     *
+     * @property time
+     * @type number
+     * @readonly
+     */
+    time: {
+        get() { return this.tsData ? this.tsData - this.tsSubmit : undefined; }
+    },
+
+    /**
+     * The duration of the request's phases, in milliseconds: `dns`, `connect`, `tls`, `firstByte` (from the request
+     * being sent to the response's headers), `download` and `total`. Phases that did not happen, as on reused connections, are 0.
+     *
+     * On server side they are measured through the socket's events. In the browser (and with "fetch") `dns`, `connect` and `tls`
+     * are null until the "timing" event, when all the phases are read from the Resource Timing API where available.
+     *
+     * @property timings
+     * @type Object
+     * @readonly
+     */
+    timings: {
+        set(val) { return val; },
+        validate(val) { return !XP.isObject(val) && 'Object'; }
+    },
+
+    /**
+     * The TLS options used on server side with "https:", including the accepted certificate pins.
+     *
+     * @property tls
+     * @type Object
+     * @readonly
+     */
+    tls: {
+        set(val) { return this.tls || XP.pick(val, ['ca', 'cert', 'key', 'minVersion', 'passphrase', 'pfx', 'pins', 'rejectUnauthorized', 'servername']); },
+        validate(val) { return (!XP.isObject(val) || (XP.isDefined(val.pins) && !XP.isArray(val.pins))) && 'Object'; }
+    },
+
+    /**
+     * The cipher negotiated with the server on server side, as "TLS_AES_256_GCM_SHA384".
+     *
+     * @property tlsCipher
+     * @type string
+     * @readonly
+     */
+    tlsCipher: {
+        set(val) { return val; },
+        validate(val) { return !XP.isNull(val) && !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The TLS protocol negotiated with the server on server side, as "TLSv1.3".
+     *
+     * @property tlsProtocol
+     * @type string
+     * @readonly
+     */
+    tlsProtocol: {
+        set(val) { return val; },
+        validate(val) { return !XP.isNull(val) && !XP.isString(val) && 'string'; }
+    },
+
+    /**
+     * The abort timestamp.
+     *
+     * @property tsAbort
+     * @type number
+     * @readonly
+     */
+    tsAbort: {
+        set(val) { return this.tsAbort || val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The data timestamp.
+     *
+     * @property tsData
+     * @type number
+     * @readonly
+     */
+    tsData: {
+        set(val) { return this.tsData || val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The response timestamp.
+     *
+     * @property tsResponse
+     * @type number
+     * @readonly
+     */
+    tsResponse: {
+        set(val) { return this.tsResponse || val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The submit timestamp.
+     *
+     * @property tsSubmit
+     * @type number
+     * @readonly
+     */
+    tsSubmit: {
+        set(val) { return this.tsSubmit || val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The uploaded bytes.
+     *
+     * @property upLoaded
+     * @type Number
+     * @readonly
+     */
+    upLoaded: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The upload ratio.
+     *
+     * @property upRatio
+     * @type Number
+     * @readonly
+     */
+    upRatio: {
+        get() { return XP.isVoid(this.upTotal) ? null : (this.upTotal ? this.upLoaded / this.upTotal : 1); }
+    },
+
+    /**
+     * The upload total.
+     *
+     * @property upTotal
+     * @type Number
+     * @readonly
+     */
+    upTotal: {
+        set(val) { return XP.isDefined(this.upTotal) ? this.upTotal : val; },
+        validate(val) { return !XP.isNull(val) && !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The request's url.
+     *
+     * @property url
+     * @type string
+     */
+    url: {
+        set(val) { return this.url || val; },
+        validate(val) { return !XP.isString(val, true) && 'string'; }
+    },
+
+    /*********************************************************************/
+
+    // HELPER
+    _agent(protocol, proxy) {
+
+        // Let
+        let tunnel    = !!proxy && protocol === 'https:',
+            transport = (proxy && !tunnel ? proxy.protocol : protocol) === 'https:' ? https : http,
+            options   = {keepAlive: this.keepAlive > 0, keepAliveMsecs: this.keepAlive || 1000, maxSockets: this.maxSockets || Infinity, timeout: this.freeSocketTimeout || undefined},
+            auth      = tunnel && proxy.username ? this._proxyAuthorization(proxy) : null,
+            key       = JSON.stringify([transport === https, tunnel && proxy.href, options]);
+
+        // Checking
+        if (this.agent) { return this.agent; }
+        if (!http || (!tunnel && !this.keepAlive && !this.maxSockets && !this.freeSocketTimeout)) { return undefined; }
+        if (agents[key]) { return agents[key]; }
+
+        // Creating
+        let agent = agents[key] = new transport.Agent(options);
+
+        // Tunneling
+        if (tunnel) {
+            agent.createConnection = (connection, callback) => {
+                let connect = (proxy.protocol === 'https:' ? https : http).request({
+                    headers: Object.assign({Host: `${connection.host}:${connection.port}`}, auth ? {'Proxy-Authorization': auth} : {}),
+                    hostname: proxy.hostname,
+                    method: 'CONNECT',
+                    path: `${connection.host}:${connection.port}`,
+                    port: proxy.port
+                });
+                connect.once('connect', (response, socket) => {
+                    let servername = connection.servername || connection.host;
+                    if (response.statusCode !== 200) { socket.destroy(); callback(new Error(`Proxy responded to CONNECT with ${response.statusCode}.`)); return; }
+                    callback(null, tls.connect(Object.assign({}, connection, {socket: socket, servername: XP.isIPV4(servername) || servername.includes(':') ? undefined : servername})));
+                });
+                connect.once('error', callback);
+                connect.end();
+            };
+        }
+
+        // Returning
+        return agent;
+    },
+
+    // HELPER
+    _authorization(method, uri) {
+
+        // Let
+        let auth      = this.auth,
+            challenge = this._auth.challenge;
+
+        // Checking
+        if (!auth) { return null; }
+
+        // Returning
+        if (auth.type === 'basic') { return XP.authBasic(auth.user, auth.pass); }
+        if (auth.type === 'bearer') { return XP.authBearer(this._auth.token || auth.token); }
+        if (!challenge || !crypto) { return null; }
+
+        // Let
+        let algorithm = (challenge.algorithm || 'MD5').toUpperCase(),
+            hash      = value => crypto.createHash(algorithm.startsWith('SHA-256') ? 'sha256' : 'md5').update(value).digest('hex'),
+            qop       = (challenge.qop || '').split(',').some(value => value.trim() === 'auth') ? 'auth' : null,
+            nc        = `0000000${(++this._auth.count).toString(16)}`.slice(-8),
+            cnonce    = crypto.randomBytes(8).toString('hex'),
+            secret    = hash(`${auth.user}:${challenge.realm}:${auth.pass}`);
+
+        // Hashing
+        if (algorithm.endsWith('-SESS')) { secret = hash(`${secret}:${challenge.nonce}:${cnonce}`); }
+
+        // Let
+        let digest   = hash(`${method}:${uri}`),
+            response = qop ? hash(`${secret}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${digest}`) : hash(`${secret}:${challenge.nonce}:${digest}`),
+            params   = [`username="${auth.user}"`, `realm="${challenge.realm}"`, `nonce="${challenge.nonce}"`, `uri="${uri}"`, `algorithm=${challenge.algorithm || 'MD5'}`, `response="${response}"`];
+
+        // Returning
+        return `Digest ${params.concat(qop ? [`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`] : [], challenge.opaque ? [`opaque="${challenge.opaque}"`] : []).join(', ')}`;
+    },
+
+    // HELPER
+    _backoff() {
+
+        // Let
+        let policy = this.retry,
+            delay  = Math.min(policy.maxDelay, policy.delay * Math.pow(2, this.attempt - 1));
+
+        // Returning
+        return Math.round(delay - delay * policy.jitter * Math.random());
+    },
+
+    // HELPER
+    _chain(parts) {
+
+        // Let
+        let output = new stream.PassThrough(),
+            index  = 0,
+            next   = () => {
+                let part = parts[index++];
+                if (index > parts.length) { output.end(); return; }
+                if (this._typeOf(part) !== 'stream') { output.write(this._toBuffer(part)); next(); return; }
+                part.once('end', next).once('error', error => output.destroy(error)).pipe(output, {end: false});
+            };
+
+        // Chaining
+        next();
+
+        // Returning
+        return output;
+    },
+
+    // HELPER
+    _challenge() {
+
+        // Let
+        let auth   = this.auth,
+            header = this.statusCode === 401 && auth && auth.type === 'digest' && this._transport !== 'xhr' && this.getResponseHeader('www-authenticate'),
+            match  = /Digest\s+(.*)/i.exec(header || ''),
+            params = {};
+
+        // Checking
+        if (this.statusCode !== 401 || !auth || auth.type === 'basic' || this._streamed) { return false; }
+        if (auth.type === 'bearer' && (!auth.getToken || this._auth.refreshed)) { return false; }
+        if (auth.type === 'digest' && !match) { return false; }
+
+        // Parsing
+        if (match) { match[1].replace(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g, (all, key, quoted, plain) => { params[key.toLowerCase()] = XP.isDefined(quoted) ? quoted : plain; }); }
+
+        // Checking
+        if (match && (!params.nonce || (this._auth.challenge && (this._auth.stale || XP.lowerCase(params.stale || '') !== 'true')))) { return false; }
+
+        // Setting
+        this._auth.count     = match ? 0 : this._auth.count;
+        this._auth.stale     = match ? !!this._auth.challenge : this._auth.stale;
+        this._auth.challenge = match ? params : this._auth.challenge;
+        this._auth.refreshed = auth.type === 'bearer';
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Authorizing
+        this._token(true, error => {
+
+            // Checking
+            if (this.state !== 'pending') { return; }
+
+            // Failing
+            if (error) { this._settle('failed', {data: null, error: error}); return; }
+
+            // Sending
+            this._reset();
+            this._send();
+        });
+
+        // Returning
+        return true;
+    },
+
+    // HELPER
+    _clearTimeout(type) {
+
+        // Clearing
+        clearTimeout(this._timers[type]);
+
+        // Deleting
+        delete this._timers[type];
+    },
+
+    // HELPER
+    _clearTimeouts() {
+
+        // Clearing
+        Object.keys(this._timers).forEach(type => this._clearTimeout(type));
+    },
+
+    // HELPER
+    _combine(base, url) {
+
+        // Checking
+        if (!base || !XP.isString(url) || /^([a-z][a-z\d+.-]*:)?\/\//i.test(url)) { return url; }
+
+        // Returning
+        return !url || /^[?#]/.test(url) ? `${base}${url}` : `${base.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    },
+
+    // HELPER
+    _configure(config) {
+
+        // Checking
+        if (!this._typeOf(config.body) || !XP.isString(config.method, true) || !XP.isString(config.url, true) || !XP.isObject(config.headers)) { return false; }
+
+        // Let
+        let parts    = config.url !== this.url ? XP.parseURL(config.url) : null,
+            location = parts && {hostname: parts.hostname || this.hostname, path: parts.path || '', port: parts.hostname ? parts.port || null : this.port, protocol: parts.protocol || this.protocol};
+
+        // Deleting (write-once values)
+        ['body', 'method'].concat(location ? ['hostname', 'path', 'pathname', 'port', 'protocol', 'query', 'url'] : []).forEach(key => delete this[`${key}_`]);
+
+        // Setting
+        this.body   = config.body;
+        this.method = config.method;
+
+        // Setting (location)
+        if (location) {
+            this.hostname = location.hostname;
+            this.path     = location.path;
+            this.port     = location.port;
+            this.protocol = location.protocol;
+            this.url      = XP.toURL({hostname: this.hostname, pathname: this.pathname, port: this.port, protocol: this.protocol, search: this.search});
+        }
+
+        // Replacing
+        Object.keys(this.headers).forEach(key => delete this.headers[key]);
+        Object.assign(this.headers, config.headers);
+
+        // Returning
+        return true;
+    },
+
+    // HELPER
+    _contentType() {
+
+        // Let
+        let header = this.getResponseHeader('content-type'),
+            match  = /;\s*charset\s*=\s*"?([^";\s]+)/i.exec(header || '');
+
+        // Returning
+        return header ? {charset: match ? match[1].toLowerCase() : null, type: header.split(';')[0].trim().toLowerCase()} : null;
+    },
+
+    // HELPER
+    _credentials() {
+
+        // Returning
+        return !!(this.auth || this._requestHeader('authorization') || this._requestHeader('cookie') || (this.jar && this.jar.getCookieHeader(this._href())));
+    },
+
+    // HELPER
+    _decode(encoding) {
+
+        // Let
+        let options = {finishFlush: zlib.constants.Z_SYNC_FLUSH};
+
+        // Returning
+        switch ((encoding || '').trim().toLowerCase()) {
+            case 'gzip': case 'x-gzip': return zlib.createGunzip(options);
+            case 'deflate': return zlib.createInflate(options);
+            case 'br': return zlib.createBrotliDecompress ? zlib.createBrotliDecompress({finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH}) : null;
+            default: return null;
+        }
+    },
+
+    // HELPER
+    _detach() {
+
+        // Checking
+        if (!this.adaptee) { return; }
+
+        // CASE: fetch
+        if (this._transport === 'fetch') {
+
+            // Aborting
+            this.adaptee.abort();
+        }
+
+        // CASE: http
+        if (this._transport === 'http') {
+
+            // Ignoring
+            this.adaptee.removeListener('error', this._handleError).on('error', () => {});
+            this.adaptee.removeListener('response', this._handleResponse);
+            this.adaptee.removeListener('socket', this._handleSocket);
+
+            // Ignoring
+            if (this.response) { this.response.removeListener('data', this._handleDownload).removeListener('data', this._handleData).removeListener('end', this._handleEnd); }
+            if (this._decoder) { this._decoder.removeListener('data', this._handleData).removeListener('end', this._handleEnd).removeListener('error', this._handleError).on('error', () => {}); }
+        }
+
+        // CASE: xhr
+        if (this._transport === 'xhr') {
+
+            // Ignoring
+            this.adaptee.removeEventListener('progress', this._handleResponse);
+            this.adaptee.removeEventListener('progress', this._handleDownload);
+            this.adaptee.removeEventListener('load', this._handleResponse);
+            this.adaptee.removeEventListener('load', this._handleEnd);
+            this.adaptee.removeEventListener('error', this._handleError);
+            this.adaptee.removeEventListener('readystatechange', this._handleConnect);
+            this.adaptee.removeEventListener('readystatechange', this._handleHeaders);
+            this.adaptee.upload.removeEventListener('error', this._handleError);
+            this.adaptee.upload.removeEventListener('progress', this._handleConnect);
+            this.adaptee.upload.removeEventListener('progress', this._handleUpload);
+        }
+
+        // Aborting
+        this.adaptee.abort();
+    },
+
+    // HELPER
+    _directives(header) {
+
+        // Let
+        let directives = {};
+
+        // Parsing
+        (header || '').split(',').forEach(part => {
+            let pair = part.split('='),
+                key  = pair[0].trim().toLowerCase();
+            if (key) { directives[key] = pair.length > 1 ? pair[1].trim().replace(/^"|"$/g, '') : true; }
+        });
+
+        // Returning
+        return directives;
+    },
+
+    // HELPER
+    _encode(body) {
+
+        // Let
+        let type = this._typeOf(body);
+
+        // CASE: raw
+        if (type === 'blob') { return {body: body, mime: body.type || null}; }
+        if (type === 'binary' || type === 'stream') { return {body: body, mime: 'application/octet-stream'}; }
+        if (type !== 'collection') { return {body: body, mime: null}; }
+
+        // CASE: form
+        if (this.encoding === 'form') {
+            return {
+                body: this._serialize(body, true),
+                mime: 'application/x-www-form-urlencoded'
+            };
+        }
+
+        // CASE: multipart
+        if (this.encoding === 'multipart') { return http ? this._multipart(body) : {body: this._formData(body), mime: null}; }
+
+        // CASE: json
+        return {body: JSON.stringify(body), mime: 'application/json'};
+    },
+
+    // HELPER
+    _error(type, code, message, cause) {
+
+        // Let
+        let error = XP.error(code, message),
+            hop   = this._hop || this;
+
+        // Setting
+        error.type   = type;
+        error.cause  = cause || null;
+        error.method = hop.method;
+        error.url    = hop.url;
+
+        // Setting (http)
+        if (type === 'http') { error.body = null; error.headers = Object.assign({}, this.responseHeaders); }
+
+        // Returning
+        return error;
+    },
+
+    // HELPER
+    _errorType(error) {
+
+        // Let
+        let code = `${(error.cause && error.cause.code) || error.code || ''}`;
+
+        // Returning
+        if (['EAI_AGAIN', 'ENOTFOUND'].includes(code)) { return 'dns'; }
+        if (['ECONNREFUSED'].includes(code)) { return 'refused'; }
+        if (['ECONNABORTED', 'ECONNRESET', 'EPIPE', 'UND_ERR_SOCKET'].includes(code)) { return 'reset'; }
+        if (['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'].includes(code)) { return 'timeout'; }
+        if (code === 'EPROTO' || /^(CERT_|ERR_SSL_|ERR_TLS_|UNABLE_TO_)|SELF_SIGNED|DEPTH_ZERO/.test(code)) { return 'tls'; }
+        return 'network';
+    },
+
+    // HELPER
+    _expand(template, params) {
+
+        // Checking
+        if (!params) { return template; }
+
+        // Let
+        let encode = (value, reserved) => reserved ? encodeURI(value).replace(/%25([0-9a-f]{2})/gi, '%$1') : encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+        // Expanding
+        return template.replace(/\{([+#./;?&]?)([^{}]+)\}/g, (match, operator, list) => {
+
+            // Let
+            let first     = operator === '+' ? '' : operator,
+                separator = ['', '+', '#'].includes(operator) ? ',' : (['?', '&'].includes(operator) ? '&' : operator),
+                named     = [';', '?', '&'].includes(operator),
+                reserved  = ['+', '#'].includes(operator),
+                parts     = [];
+
+            // Let
+            let pair = (name, value) => named ? `${name}${value || ['?', '&'].includes(operator) ? `=${value}` : ``}` : value;
+
+            // Expanding
+            list.split(',').forEach(spec => {
+
+                // Let
+                let name    = spec.replace(/(\*|:\d+)$/, ''),
+                    explode = /\*$/.test(spec),
+                    prefix  = XP.toFinite((spec.match(/:(\d+)$/) || [])[1]),
+                    value   = params[name],
+                    items   = XP.isArray(value) ? value.filter(item => !XP.isVoid(item)).map(item => [name, item]) : (XP.isObject(value) ? Object.keys(value).filter(key => !XP.isVoid(value[key])).map(key => [key, value[key]]) : null);
+
+                // CASE: string
+                if (!items && !XP.isVoid(value)) { parts.push(pair(name, encode(prefix ? `${value}`.slice(0, prefix) : `${value}`, reserved))); return; }
+
+                // Checking
+                if (!items || !items.length) { return; }
+
+                // CASE: list
+                if (XP.isArray(value)) { parts.push(...(explode ? items.map(item => pair(name, encode(item[1], reserved))) : [pair(name, items.map(item => encode(item[1], reserved)).join(','))])); return; }
+
+                // CASE: map
+                parts.push(...(explode ? items.map(item => named ? pair(encode(item[0], reserved), encode(item[1], reserved)) : `${encode(item[0], reserved)}=${encode(item[1], reserved)}`) : [pair(name, items.map(item => `${encode(item[0], reserved)},${encode(item[1], reserved)}`).join(','))]));
+            });
+
+            // Returning
+            return parts.length ? `${first}${parts.join(separator)}` : ``;
+        });
+    },
+
+    // HELPER
+    _flatten(data, prefix, format) {
+
+        // Let
+        let pairs = [];
+
+        // Flattening
+        Object.keys(data).forEach(key => {
+
+            // Let
+            let name  = prefix ? `${prefix}[${key}]` : key,
+                value = data[key],
+                leaf  = !XP.isObject(value) || this._typeOf(value) !== 'collection' || XP.isDefined(value.filename);
+
+            // Pushing
+            if (XP.isArray(value) && format === 'comma' && value.length && !value.some(val => XP.isCollection(val))) { pairs.push([name, value.filter(val => !XP.isVoid(val))]); }
+            else if (XP.isArray(value)) { value.forEach((val, index) => pairs.push(...(XP.isCollection(val) && !XP.isDefined(val.filename) ? this._flatten(val, `${name}[${index}]`, format) : [[format === 'brackets' ? `${name}[]` : (format === 'indices' ? `${name}[${index}]` : name), val]]))); }
+            else if (!leaf) { pairs.push(...this._flatten(value, name, format)); }
+            else if (!XP.isVoid(value)) { pairs.push([name, value]); }
+            else if (XP.isNull(value)) { pairs.push([name, '']); }
+        });
+
+        // Returning
+        return pairs;
+    },
+
+    // HELPER
+    _formData(data) {
+
+        // Let
+        let form = new FormData();
+
+        // Appending
+        this._flatten(data).forEach(pair => {
+            let name = pair[0], value = pair[1], type = this._typeOf(value);
+            if (type === 'blob') { form.append(name, value); }
+            else if (type === 'binary') { form.append(name, new Blob([value])); }
+            else if (XP.isObject(value) && XP.isDefined(value.filename)) { form.append(name, value.value instanceof Blob ? value.value : new Blob([value.value], {type: value.contentType || ''}), value.filename); }
+            else { form.append(name, value instanceof Date ? value.toISOString() : value); }
+        });
+
+        // Returning
+        return form;
+    },
+
+    // HELPER
+    _href() {
+
+        // Returning
+        return `${this.url.replace(/\?.*/, ``)}${this._search()}`;
+    },
+
+    // HELPER
+    _intercept(type, context, callback) {
+
+        // Let
+        let hooks   = this._subscribers ? [] : interceptors[type].concat(this.interceptors[type]),
+            current = context;
+
+        // Checking
+        if (!hooks.length) { callback(current); return; }
+
+        // Intercepting
+        hooks.reduce((promise, hook) => promise.then(() => hook(current, this)).then(result => { current = XP.isObject(result) ? result : current; }), Promise.resolve())
+            .catch(error => { current.error = error; })
+            .then(() => callback(current));
+    },
+
+    // HELPER
+    _lookup(callback) {
+
+        // Checking
+        if (!this.cache || this.method !== 'GET' || ['buffer', 'stream'].includes(this.parser)) { callback(null); return; }
+
+        // Resolving
+        Promise.resolve()
+            .then(() => this.cache.get(this._href()))
+            .then(entry => XP.isObject(entry) && Object.keys(entry.vary || {}).every(name => entry.vary[name] === this._requestHeader(name)) ? entry : null, () => null)
+            .then(entry => { this._cached = entry; callback(entry); });
+    },
+
+    // HELPER
+    _join() {
+
+        // Checking
+        if (!this.dedupe || !['GET', 'HEAD'].includes(this.method) || ['buffer', 'stream'].includes(this.parser)) { return false; }
+
+        // Let
+        let auth    = this.auth,
+            href    = this._href(),
+            headers = Object.keys(this.headers).sort().map(key => [key.toLowerCase(), String(this.headers[key])]),
+            key     = JSON.stringify([this.method, href, this.parser, headers, auth && [auth.type, auth.user, auth.pass, this._auth.token || auth.token], this.jar && this.jar.getCookieHeader(href)]),
+            source  = flights.get(key);
+
+        // Checking
+        if (source && (source.adapter !== this.adapter || !XP.isEqual(source.tls, this.tls))) { return false; }
+
+        // Creating
+        if (!source) {
+
+            // Setting
+            source = new module.exports({
+                adapter: this.adapter,
+                agent: this.agent,
+                auth: auth,
+                cache: this.cache,
+                connectTimeout: this.connectTimeout,
+                decompress: this.decompress,
+                fetch: this.fetch,
+                freeSocketTimeout: this.freeSocketTimeout,
+                headers: this.headers,
+                idleTimeout: this.idleTimeout,
+                jar: this.jar,
+                keepAlive: this.keepAlive,
+                maxRedirects: this.maxRedirects,
+                maxSockets: this.maxSockets,
+                method: this.method,
+                parser: this.parser,
+                proxy: this.proxy,
+                rateLimit: this.rateLimit,
+                responseTimeout: this.responseTimeout,
+                retry: this.retry,
+                tls: this.tls,
+                url: href
+            });
+
+            // Sharing
+            source._auth.token  = this._auth.token;
+            source._subscribers = new Set();
+
+            // Registering
+            flights.set(key, source);
+
+            // Listening
+            source.on('state', state => state !== 'pending' && flights.get(key) === source && flights.delete(key));
+
+            // Sending
+            source.submit().catch(() => {});
+        }
+
+        // Subscribing
+        this._subscribe(source);
+
+        // Returning
+        return true;
+    },
+
+    // HELPER
+    _limiter() {
+
+        // Let
+        let key = `${this.protocol}//${this.host}`;
+
+        // Returning
+        if (this.rateLimit instanceof XPRateLimiter) { return this.rateLimit; }
+        return limiters[key] || (limiters[key] = new XPRateLimiter(this.rateLimit));
+    },
+
+    // HELPER
+    _links() {
+
+        // Let
+        let header = this.getResponseHeader('link') || '',
+            links  = {};
+
+        // Parsing
+        (header.match(/<[^>]*>[^<]*/g) || []).forEach(value => {
+            let index = value.indexOf('>'),
+                link  = {url: null};
+            try { link.url = new URL(value.slice(1, index), (this._hop || this).url).href; } catch (error) { return; }
+            value.slice(index + 1).replace(/;\s*([^\s=;,]+)\s*(?:=\s*(?:"([^"]*)"|([^\s;,]*)))?/g, (param, key, quoted, value) => { link[key.toLowerCase()] = XP.isDefined(quoted) ? quoted : value || ''; });
+            (link.rel || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(rel => { links[rel] = links[rel] || link; });
+        });
+
+        // Returning
+        return links;
+    },
+
+    // HELPER
+    _mark(name) {
+
+        // Marking
+        this._marks[name] = this._marks[name] || (env.performance ? env.performance.now() : Date.now());
+    },
+
+    // HELPER
+    _multipart(data) {
+
+        // Let
+        let boundary = `----XPRequest${XP.uuid().replace(/-/g, '')}`,
+            escape   = string => string.replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A'),
+            parts    = [];
+
+        // Building
+        this._flatten(data).forEach(pair => {
+
+            // Let
+            let name = pair[0],
+                type = this._typeOf(pair[1]),
+                file = XP.isObject(pair[1]) && XP.isDefined(pair[1].filename) ? pair[1] : null;
+
+            // Wrapping
+            if (type === 'binary') { file = {value: pair[1], filename: 'blob'}; }
+            if (type === 'stream') { file = {value: pair[1], filename: XP.isString(pair[1].path) ? pair[1].path.split(/[\\/]/).pop() : 'blob'}; }
+
+            // Pushing
+            parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="${escape(name)}"${file ? `; filename="${escape(file.filename)}"\r\nContent-Type: ${file.contentType || 'application/octet-stream'}` : ``}\r\n\r\n`);
+            parts.push(file ? file.value : String(pair[1] instanceof Date ? pair[1].toISOString() : pair[1]));
+            parts.push(`\r\n`);
+        });
+
+        // Closing
+        parts.push(`--${boundary}--\r\n`);
+
+        // Returning
+        return {
+            body: parts.some(part => this._typeOf(part) === 'stream') ? this._chain(parts) : XPBuffer.concat(parts.map(part => this._toBuffer(part))),
+            mime: `multipart/form-data; boundary=${boundary}`
+        };
+    },
+
+    // HELPER
+    _parse(parser, data) {
+
+        // Parsing
+        try { return {failure: null, parsed: parser.parse ? parser.parse(data, this) : null}; } catch (error) { return {failure: this._error('parse', 0, `Invalid ${this._parser} response: ${error.message}`, error), parsed: null}; }
+    },
+
+    // HELPER
+    _pickParser(type) {
+
+        // Checking
+        if (this.parser !== 'auto') { return this.parser; }
+
+        // Let
+        let mime  = (type || '').split(';')[0].trim().toLowerCase(),
+            base  = mime.replace(/\/.*\+/, '/'),
+            best  = {name: 'text', score: 0},
+            score = range => range === mime ? 3 : (range === base ? 2 : (range.endsWith('/*') && mime.startsWith(range.slice(0, -1)) ? 1 : 0));
+
+        // Matching
+        Object.keys(parsers).forEach(name => (parsers[name].accept || '').split(',').forEach(range => {
+            let value = score(range.split(';')[0].trim().toLowerCase());
+            if (value > best.score) { best = {name: name, score: value}; }
+        }));
+
+        // Returning
+        return best.name;
+    },
+
+    // HELPER
+    _pipe(stream) {
+
+        // Let
+        let request  = this.adaptee,
+            length   = XP.toFinite(request.getHeader('Content-Length')),
+            uploaded = (length, error) => !error && request === this.adaptee && this._handleUpload(length);
+
+        // Setting
+        this.upTotal = XP.isFinite(length) ? length : null;
+
+        // Listening
+        stream.on('data', chunk => {
+            if (request !== this.adaptee || this.tsAbort) { stream.pause(); return; }
+            if (!request.write(chunk, uploaded.bind(null, chunk.length))) { stream.pause(); request.once('drain', () => stream.resume()); }
+        });
+
+        // Listening
+        stream.once('end', () => request.end());
+        stream.once('error', error => {
+            if (request !== this.adaptee || this.tsAbort) { return; }
+            this._detach();
+            this._handleError(error);
+        });
+    },
+
+    // HELPER
+    _proxy(href) {
+
+        // Checking
+        if (!http || this.proxy === false) { return null; }
+
+        // Let
+        let target = new URL(href),
+            vars   = process.env,
+            value  = this.proxy === null ? (target.protocol === 'https:' ? vars.HTTPS_PROXY || vars.https_proxy : vars.HTTP_PROXY || vars.http_proxy) : this.proxy,
+            port   = target.port || (target.protocol === 'https:' ? '443' : '80'),
+            host   = target.hostname.toLowerCase();
+
+        // Checking
+        if (!value) { return null; }
+
+        // Bypassing
+        if (this.proxy === null && (vars.NO_PROXY || vars.no_proxy || '').split(/[\s,]+/).filter(Boolean).some(entry => {
+            let parts  = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/),
+                domain = parts[1].replace(/^\*?\./, '');
+            return entry === '*' || ((!parts[2] || parts[2] === port) && (host === domain || host.endsWith(`.${domain}`)));
+        })) { return null; }
+
+        // Returning
+        return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    },
+
+    // HELPER
+    _proxyAuthorization(proxy) {
+
+        // Returning
+        return `Basic ${XP.toBase64(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`)}`;
+    },
+
+    // HELPER
+    _rateLimits() {
+
+        // Let
+        let headers    = this.responseHeaders,
+            now        = Date.now(),
+            after      = headers['retry-after'],
+            remaining  = XP.toFinite(XP.isDefined(headers['ratelimit-remaining']) ? headers['ratelimit-remaining'] : headers['x-ratelimit-remaining']),
+            reset      = XP.toFinite(XP.isDefined(headers['ratelimit-reset']) ? headers['ratelimit-reset'] : headers['x-ratelimit-reset']),
+            retryAfter = XP.isNumeric(after) ? now + after * 1000 : Date.parse(after || '');
+
+        // Returning
+        return {
+            remaining: this.statusCode === 429 ? 0 : (XP.isFinite(remaining) ? remaining : undefined),
+            reset: XP.isFinite(reset) ? (reset > 1e9 ? reset * 1000 : now + reset * 1000) : undefined,
+            retryAfter: [429, 503].includes(this.statusCode) && XP.isFinite(retryAfter) ? retryAfter : undefined
+        };
+    },
+
+    // HELPER
+    _redirect() {
+
+        // Let
+        let from     = this._hop || this,
+            location = this._transport === 'http' && [301, 302, 303, 307, 308].includes(this.statusCode) && this.getResponseHeader('location');
+
+        // Checking
+        if (!location || !this.maxRedirects) { return false; }
+        if (this.redirects.length >= this.maxRedirects) { this.error = this._error('http', this.statusCode, 'Maximum number of redirects exceeded.'); return false; }
+
+        // Let
+        let url = null;
+
+        // Parsing
+        try { url = new URL(location, from.url); } catch (error) { this.error = this._error('http', this.statusCode, `Invalid redirect location: ${location}`, error); return false; }
+
+        // Let
+        let method  = (this.statusCode === 303 && from.method !== 'HEAD') || ([301, 302].includes(this.statusCode) && from.method === 'POST') ? 'GET' : from.method,
+            headers = Object.assign({}, from.headers),
+            strip   = [];
+
+        // Checking
+        if (method === from.method && ['PATCH', 'POST', 'PUT'].includes(method) && this._streamed) { return false; }
+
+        // Stripping
+        if (method !== from.method) { strip.push('content-length', 'content-type'); }
+        if (url.origin !== new URL(from.url).origin) { strip.push('authorization', 'cookie'); }
+
+        // Deleting
+        Object.keys(headers).forEach(key => strip.includes(key.toLowerCase()) && delete headers[key]);
+
+        // Pushing
+        this.redirects.push({location: url.href, statusCode: this.statusCode, url: from.url});
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Emitting
+        this.emit('redirect', url.href, this.statusCode);
+
+        // Setting
+        this._hop = {headers: headers, hostname: url.hostname, method: method, path: url.pathname + url.search, port: url.port || null, protocol: url.protocol, url: url.href};
+
+        // Sending
+        this._reset();
+        this._send();
+
+        // Returning
+        return true;
+    },
+
+    // HELPER
+    _replay(error, delay) {
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Pushing
+        this.retries.push({error: error, statusCode: this.statusCode, tsResponse: this.tsResponse, tsSubmit: this.tsSubmit});
+
+        // Emitting
+        this.emit('retry', this.attempt, error);
+
+        // Delaying
+        this._timers.retry = setTimeout(() => { this._reset(); this._throttle(); }, delay);
+    },
+
+    // HELPER
+    _requestHeader(name) {
+
+        // Let
+        let key = Object.keys(this.headers).find(key => key.toLowerCase() === name);
+
+        // Returning
+        return key && XP.isInput(this.headers[key], true) ? this.headers[key].toString() : '';
+    },
+
+    // HELPER
+    _reset() {
+
+        // Resetting
+        this._decoder = null;
+        this._feed    = null;
+        this._marks   = {};
+        this._parser  = null;
+        this._stopped = false;
+
+        // Deleting (write-once values)
+        ['adaptee', 'data', 'downTotal', 'error', 'response', 'responseHeaders', 'statusCode', 'statusMessage', 'tsAbort', 'tsData', 'tsResponse', 'tsSubmit', 'upTotal'].forEach(key => delete this[`${key}_`]);
+
+        // Setting
+        this.chunks.length = 0;
+        this.fromCache     = false;
+        this.downDecoded   = 0;
+        this.downLoaded    = 0;
+        this.upLoaded      = 0;
+    },
+
+    // HELPER
+    _responseHeaders() {
+
+        // Let
+        let source  = this.response.headers,
+            headers = {},
+            add     = (key, value) => {
+                key = key.toLowerCase();
+                if (key === 'set-cookie') { headers[key] = (headers[key] || []).concat(value); return; }
+                headers[key] = XP.isDefined(headers[key]) ? `${headers[key]}, ${value}` : `${value}`;
+            };
+
+        // Copying
+        if (source && XP.isFunction(source.forEach)) { source.forEach((value, key) => (key.toLowerCase() !== 'set-cookie' || !source.getSetCookie) && add(key, value)); }
+        if (source && XP.isFunction(source.getSetCookie)) { source.getSetCookie().forEach(value => add('set-cookie', value)); }
+        if (source && !XP.isFunction(source.forEach)) { Object.keys(source).forEach(key => XP.isDefined(source[key]) && add(key, source[key])); }
+
+        // Parsing (xhr)
+        if (!source) {
+            this.response.getAllResponseHeaders().split(/\r?\n/).forEach(line => {
+                let index = line.indexOf(':');
+                if (index > 0) { add(line.slice(0, index).trim(), line.slice(index + 1).trim()); }
+            });
+        }
+
+        // Returning
+        return headers;
+    },
+
+    // HELPER
+    _retry(error) {
+
+        // Let
+        let policy = this.retry;
+
+        // Checking
+        if (this.attempt >= policy.attempts || !policy.methods.includes(this.method) || this._streamed) { return false; }
+        if (error.code !== 0 && error.code !== 408 && !policy.statusCodes.includes(error.code)) { return false; }
+
+        // Replaying
+        this._replay(error, this._backoff());
+
+        // Returning
+        return true;
+    },
+
+    // HELPER
+    _save(body) {
+
+        // Let
+        let key     = this._href(),
+            cached  = this.fromCache ? this._cached : null,
+            headers = Object.assign({}, cached && cached.headers, this.responseHeaders),
+            control = this._directives(headers['cache-control']),
+            request = this._directives(this._requestHeader('cache-control')),
+            store   = action => Promise.resolve().then(action).catch(() => {}),
+            now     = Date.now();
+
+        // Invalidating
+        if (!['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(this.method) && !this.error) { store(() => this.cache.delete(key)); return; }
+
+        // Checking
+        if (this.method !== 'GET' || this._hop || this.error || ['buffer', 'stream'].includes(this._parser) || headers.vary === '*') { return; }
+        if (this.statusCode !== 200 && !cached) { return; }
+        if (this._credentials() && !control.public && !control['must-revalidate'] && !XP.isDefined(control['s-maxage'])) { return; }
+
+        // Deleting
+        if (control['no-store'] || request['no-store']) { store(() => this.cache.delete(key)); return; }
+
+        // Let
+        let lastModified = headers['last-modified'] || null,
+            heuristic    = lastModified ? Math.max(0, now - Date.parse(lastModified) || 0) / 10 : 0,
+            maxAge       = XP.isDefined(control['max-age']) ? XP.toFinite(control['max-age']) - (XP.toFinite(headers.age) || 0) : null,
+            expires      = XP.isDefined(maxAge) ? now + maxAge * 1000 : (headers.expires ? Date.parse(headers.expires) || 0 : now + Math.round(heuristic));
+
+        // Let
+        let entry = {
+            body: body,
+            etag: headers.etag || null,
+            expires: expires,
+            headers: XP.omit(headers, ['set-cookie']),
+            lastModified: lastModified,
+            noCache: !!control['no-cache'],
+            parser: this._parser,
+            statusCode: cached ? cached.statusCode : this.statusCode,
+            statusMessage: cached ? cached.statusMessage : this.statusMessage,
+            vary: {}
+        };
+
+        // Checking
+        if (entry.expires <= now && !entry.etag && !entry.lastModified) { return; }
+
+        // Varying
+        (headers.vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean).forEach(name => { entry.vary[name] = this._requestHeader(name); });
+
+        // Storing
+        store(() => this.cache.set(key, entry));
+    },
+
+    // HELPER
+    _search() {
+
+        // Let
+        let data  = !['PATCH', 'POST', 'PUT'].includes(this.method) && this._typeOf(this.body) === 'collection' ? this.body : {},
+            names = Object.keys(data).map(key => encodeURIComponent(key)),
+            pairs = this.query.split('&').filter(pair => pair && !names.includes(pair.split('=')[0].replace(/(\[|%5B).*$/i, ''))),
+            query = pairs.concat(this._serialize(data)).filter(Boolean).join('&');
+
+        // Returning
+        return query ? `?${query}` : ``;
+    },
+
+    // HELPER
+    _send() {
+
+        // Let
+        let write   = ['PATCH', 'POST', 'PUT'].includes((this._hop || this).method),
+            encoded = this._encode(write ? this.body : undefined),
+            body    = encoded.body,
+            mime    = encoded.mime,
+            accept  = parsers[this.parser] && parsers[this.parser].accept,
+            cached  = !this._hop && this._cached ? {'If-Modified-Since': this._cached.lastModified, 'If-None-Match': this._cached.etag} : {};
+
+        // Setting
+        this._streamed = this._typeOf(body) === 'stream';
+
+        // CASE: fetch
+        if (this._transport === 'fetch') {
+
+            // Let
+            let controller = this.adaptee = new env.AbortController(),
+                secret     = this._authorization(this.method, this.pathname + this._search()),
+                headers    = {};
+
+            // Headers
+            Object.keys(this.headers).forEach(key => XP.isInput(this.headers[key], true) && (headers[key] = `${this.headers[key]}`));
+            if (mime && !this._requestHeader('content-type')) { headers['Content-Type'] = mime; }
+            if (accept && !this._requestHeader('accept')) { headers.Accept = accept; }
+            if (secret && !this._requestHeader('authorization')) { headers.Authorization = secret; }
+            Object.keys(cached).forEach(key => cached[key] && !this._requestHeader(key.toLowerCase()) && (headers[key] = cached[key]));
+
+            // Fetching
+            this.adapter.request(this._href(), Object.assign({}, this.fetch, {
+                body: XP.isDefined(body) ? body : null,
+                duplex: this._streamed ? 'half' : undefined,
+                headers: headers,
+                method: this.method,
+                signal: controller.signal
+            })).then(response => !controller.signal.aborted && this._handleFetch(response), error => !controller.signal.aborted && this._handleError(error));
+        }
+
+        // CASE: http
+        if (this._transport === 'http') {
+
+            // Let
+            let target  = this._hop || {headers: this.headers, hostname: this.hostname, method: this.method, path: this.pathname + this._search(), port: this.port, protocol: this.protocol},
+                href    = new URL(target.path, this._hop ? this._hop.url : this.url).href,
+                cookie  = this.jar && this.jar.getCookieHeader(href, {method: target.method, site: this.url}),
+                secret  = new URL(href).origin === new URL(this.url).origin && this._authorization(target.method, target.path),
+                proxy   = !this.agent && this._proxy(href),
+                forward = !!proxy && target.protocol !== 'https:';
+
+            // Adapting
+            let request = this.adaptee = this.adapter.request(Object.assign(target.protocol === 'https:' ? XP.omit(this.tls, ['pins']) : {}, {
+                agent: this._agent(target.protocol, proxy),
+                hostname: forward ? proxy.hostname : target.hostname,
+                method: target.method,
+                path: forward ? href : target.path,
+                port: forward ? proxy.port : target.port,
+                protocol: forward ? proxy.protocol : target.protocol
+            }));
+
+            // Forwarding
+            if (forward) { request.setHeader('Host', new URL(href).host); }
+            if (forward && proxy.username) { request.setHeader('Proxy-Authorization', this._proxyAuthorization(proxy)); }
+
+            // Headers
+            Object.keys(target.headers).forEach(key => XP.isInput(target.headers[key], true) && request.setHeader(key, target.headers[key]));
+            if (mime && !request.hasHeader('Content-Type')) { request.setHeader('Content-Type', mime); }
+            if (accept && !request.hasHeader('Accept')) { request.setHeader('Accept', accept); }
+            if (secret && !request.hasHeader('Authorization')) { request.setHeader('Authorization', secret); }
+            Object.keys(cached).forEach(key => cached[key] && !request.hasHeader(key) && request.setHeader(key, cached[key]));
+            if (cookie) { request.setHeader('Cookie', request.hasHeader('Cookie') ? `${request.getHeader('Cookie')}; ${cookie}` : cookie); }
+            if (this.decompress && zlib && this.parser !== 'buffer' && !request.hasHeader('Accept-Encoding')) { request.setHeader('Accept-Encoding', zlib.createBrotliDecompress ? 'gzip, deflate, br' : 'gzip, deflate'); }
+
+            // Listening
+            request.once('error',    this._handleError);
+            request.once('response', this._handleResponse);
+            request.once('socket',   this._handleSocket);
+        }
+
+        // CASE: xhr
+        if (this._transport === 'xhr') {
+
+            // Let
+            let digest = this.auth && this.auth.type === 'digest',
+                secret = this._authorization(this.method, this.path);
+
+            // Adapting
+            let xhr = this.adaptee = this.adapter.request();
+
+            // Opening
+            xhr.open(this.method, this._href(), true, digest ? this.auth.user : null, digest ? this.auth.pass : null);
+
+            // Headers
+            Object.keys(this.headers).forEach(key => XP.isInput(this.headers[key], true) && xhr.setRequestHeader(key, this.headers[key]));
+            if (mime && !Object.keys(this.headers).some(key => key.toLowerCase() === 'content-type')) { xhr.setRequestHeader('Content-Type', mime); }
+            if (accept && !Object.keys(this.headers).some(key => key.toLowerCase() === 'accept')) { xhr.setRequestHeader('Accept', accept); }
+            if (secret && !Object.keys(this.headers).some(key => key.toLowerCase() === 'authorization')) { xhr.setRequestHeader('Authorization', secret); }
+            Object.keys(cached).forEach(key => cached[key] && !this._requestHeader(key.toLowerCase()) && xhr.setRequestHeader(key, cached[key]));
+
+            // Casting
+            if (parsers[this.parser] && parsers[this.parser].binary) { xhr.responseType = 'arraybuffer'; }
+
+            // Listening
+            xhr.addEventListener('progress', this._handleResponse);
+            xhr.addEventListener('progress', this._handleDownload);
+            xhr.addEventListener('load', this._handleResponse);
+            xhr.addEventListener('load', this._handleEnd);
+            xhr.addEventListener('error', this._handleError);
+            xhr.addEventListener('readystatechange', this._handleConnect);
+            xhr.addEventListener('readystatechange', this._handleHeaders);
+            xhr.upload.addEventListener('error', this._handleError);
+            xhr.upload.addEventListener('progress', this._handleConnect);
+            xhr.upload.addEventListener('progress', this._handleUpload);
+        }
+
+        // Setting
+        this.tsSubmit = Date.now();
+
+        // Marking
+        this._mark('start');
+
+        // Timing
+        this._setTimeout('connect');
+        this._setTimeout('response');
+
+        // Sending
+        if (this._transport === 'http') { this._upload(body); }
+        if (this._transport === 'xhr') { this.adaptee.send(body); }
+    },
+
+    // HELPER
+    _serialize(data, form) {
+
+        // Let
+        let encode = value => {
+            let result = encodeURIComponent(value instanceof Date ? value.toISOString() : value);
+            return form ? result.replace(/%20/g, '+') : result;
+        };
+
+        // Returning
+        return this._flatten(data, null, this.arrayFormat).map(pair => `${encode(pair[0])}=${XP.isArray(pair[1]) ? pair[1].map(encode).join(',') : encode(pair[1])}`).join('&');
+    },
+
+    // HELPER
+    _serve(entry) {
+
+        // Let
+        let parser = parsers[entry.parser] || parsers.text,
+            now    = Date.now(),
+            result = null;
+
+        // Setting
+        this.fromCache       = true;
+        this.response        = {headers: Object.assign({}, entry.headers), statusCode: entry.statusCode, statusMessage: entry.statusMessage};
+        this.responseHeaders = this._responseHeaders();
+        this.statusCode      = entry.statusCode;
+        this.statusMessage   = entry.statusMessage;
+        this.tsSubmit        = now;
+        this.tsResponse      = now;
+        this.tsData          = now;
+        this._parser         = entry.parser;
+
+        // Emitting
+        this.emit('response', this.response);
+
+        // Parsing
+        result = this._parse(parser, entry.body);
+
+        // Setting
+        this.error = result.failure;
+
+        // Intercepting
+        this._intercept(this.error ? 'error' : 'response', {data: result.parsed, error: this.error, replay: false}, this._settle.bind(this, 'failed'));
+    },
+
+    // HELPER
+    _setTimeout(type) {
+
+        // Clearing
+        this._clearTimeout(type);
+
+        // Setting
+        if (this[`${type}Timeout`] > 0) { this._timers[type] = setTimeout(this._handleTimeout, this[`${type}Timeout`], type); }
+    },
+
+    // HELPER
+    _settle(resolver, state, context) {
+
+        // Checking
+        if (this.state !== 'idle' && this.state !== 'pending') { return; }
+
+        // Replaying
+        if (context.replay && !this._streamed && this._replays < this.maxReplays) { this._replays += 1; this._replay(context.error || null, this._backoff()); return; }
+
+        // Setting
+        this.error = context.error || null;
+        this.data  = XP.isDefined(context.data) ? context.data : null;
+        this.state = this.error ? state : 'complete';
+
+        // Emitting
+        this.emit(this.error ? 'error' : 'data', this.error || this.data);
+
+        // Resolving
+        resolver(this.error, this.data);
+    },
+
+    // HELPER
+    _slice(xhr) {
+
+        // Let
+        let text = xhr.responseText.slice(this._feed.offset);
+
+        // Setting
+        this._feed.offset = xhr.responseText.length;
+
+        // Returning
+        return text;
+    },
+
+    // HELPER
+    _start(error) {
+
+        // Checking
+        if (this.state !== 'pending') { return; }
+
+        // Failing
+        if (error) { this._settle('failed', {data: null, error: error}); return; }
+
+        // Caching
+        this._lookup(entry => {
+
+            // Checking
+            if (this.state !== 'pending') { return; }
+
+            // Let
+            let request = this._directives(this._requestHeader('cache-control')),
+                fresh   = entry && !entry.noCache && !request['no-cache'] && entry.expires > Date.now();
+
+            // Sending
+            if (!fresh && !this._join()) { this._throttle(); }
+
+            // Emitting
+            this.emit('submit', this.body);
+
+            // Serving
+            if (fresh) { this._serve(entry); }
+        });
+    },
+
+    // HELPER
+    _stream(text, flush) {
+
+        // Let
+        let feed   = this._feed,
+            buffer = feed.rest + text,
+            held   = !flush && buffer.endsWith('\r') ? '\r' : '',
+            lines  = buffer.slice(0, buffer.length - held.length).split(/\r\n|\r|\n/);
+
+        // Setting
+        feed.rest = flush ? '' : lines.pop() + held;
+
+        // Parsing (ndjson)
+        if (feed.format === 'ndjson') {
+
+            // Emitting
+            lines.filter(line => line.trim()).some(line => {
+
+                // Let
+                let record = null;
+
+                // Checking
+                if (this.tsAbort || this._stopped) { return true; }
+
+                // Parsing
+                try { record = JSON.parse(line); } catch (error) { this._handleRecordError(line, error); return true; }
+
+                // Emitting
+                this.emit('record', record);
+            });
+
+            // Returning
+            return;
+        }
+
+        // Parsing (sse)
+        lines.forEach(line => {
+
+            // Let
+            let event = feed.event,
+                index = line.indexOf(':'),
+                field = index < 0 ? line : line.slice(0, index),
+                value = index < 0 ? '' : line.slice(index + 1).replace(/^ /, '');
+
+            // Dispatching
+            if (!line && event.data.length) { this.emit('message', {data: event.data.join('\n'), event: event.event || 'message', id: event.id, retry: event.retry}); }
+            if (!line) { event.data = []; event.event = ''; return; }
+
+            // Setting
+            if (field === 'data') { event.data.push(value); }
+            if (field === 'event') { event.event = value; }
+            if (field === 'id' && !value.includes('\0')) { event.id = value; }
+            if (field === 'retry' && /^\d+$/.test(value)) { event.retry = parseInt(value, 10); }
+        });
+    },
+
+    // HELPER
+    _subscribe(source) {
+
+        // Let
+        let listeners = {
+            download: () => {
+                this.downLoaded  = source.downLoaded;
+                this.downDecoded = source.downDecoded;
+                this.emit('download', this.downLoaded, this.downTotal);
+            },
+            redirect: (location, statusCode) => {
+                this.redirects.push(source.redirects[source.redirects.length - 1]);
+                this.emit('redirect', location, statusCode);
+            },
+            response: () => {
+                this.response        = source.response;
+                this.responseHeaders = source.responseHeaders;
+                this.statusCode      = source.statusCode;
+                this.statusMessage   = source.statusMessage;
+                this.error           = source.error;
+                this.downTotal       = source.downTotal;
+                this.fromCache       = source.fromCache;
+                this.tsResponse      = source.tsResponse;
+                this._parser         = source._parser;
+                this.emit('response', this.response);
+            },
+            retry: (attempt, error) => {
+                this.retries.push(source.retries[source.retries.length - 1]);
+                this.emit('retry', attempt, error);
+            },
+            state: state => {
+                if (state === 'pending' || state === 'aborted') { return; }
+                if (state === 'timeout') { this.tsAbort = Date.now(); } else { this.tsData = Date.now(); }
+                if (source.timings) { this.timings = source.timings; setTimeout(this._handleTiming, 0, this._marks); }
+                this._unsubscribe();
+                this._intercept(source.error ? 'error' : 'response', {data: XP.isObject(source.data) || XP.isArray(source.data) ? XP.cloneDeep(source.data) : source.data, error: source.error, replay: false}, this._settle.bind(this, state === 'timeout' ? 'timeout' : 'failed'));
+            }
+        };
 
         // Setting
-        this.error = XP.error(0, http ? error.message : 'Request not sent.');
-        this.state = 'failed';
+        this._flight  = {listeners: listeners, source: source};
+        this.tsSubmit = Date.now();
+
+        // Subscribing
+        source._subscribers.add(this);
+
+        // Listening
+        Object.keys(listeners).forEach(type => source.on(type, listeners[type]));
+
+        // Catching up
+        if (source.response) { listeners.response(); }
+        if (source.downLoaded) { listeners.download(); }
+    },
+
+    // HELPER
+    _throttle() {
+
+        // Let
+        let delay = this.rateLimit ? this._limiter().reserve() : 0;
+
+        // Sending
+        if (!delay) { this._send(); return; }
 
         // Emitting
-        this.emit('error', this.error);
+        this.emit('throttled', delay);
+
+        // Delaying
+        this._timers.throttle = setTimeout(() => this._send(), delay);
+    },
+
+    // HELPER
+    _timestamp(name) {
+
+        // Let
+        let value = Date.parse(this.getResponseHeader(name) || '');
+
+        // Returning
+        return XP.isFinite(value) ? value : null;
+    },
+
+    // HELPER
+    _timings(entry) {
+
+        // Let
+        let marks = this._marks,
+            span  = (from, to) => XP.isFinite(from) && XP.isFinite(to) ? Math.max(0, to - from) : null;
+
+        // Returning (Resource Timing)
+        if (entry) {
+            return {
+                connect: span(entry.connectStart, entry.secureConnectionStart || entry.connectEnd),
+                dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+                download: span(entry.responseStart, entry.responseEnd),
+                firstByte: span(entry.requestStart, entry.responseStart),
+                tls: entry.secureConnectionStart ? span(entry.secureConnectionStart, entry.connectEnd) : 0,
+                total: span(entry.startTime, entry.responseEnd)
+            };
+        }
+
+        // Returning
+        return {
+            connect: span(marks.lookup || marks.start, marks.connect),
+            dns: marks.connect ? span(marks.start, marks.lookup || marks.start) : null,
+            download: span(marks.response, marks.end),
+            firstByte: span(marks.secure || marks.connect || marks.start, marks.response),
+            tls: marks.connect ? span(marks.connect, marks.secure || marks.connect) : null,
+            total: span(marks.start, marks.end)
+        };
+    },
+
+    // HELPER
+    _toBuffer(data) {
+
+        // Returning
+        if (ArrayBuffer.isView(data)) { return XPBuffer.from(data.buffer, data.byteOffset, data.byteLength); }
+        if (XP.isInput(data)) { return XPBuffer.from(data.toString()); }
+        return XPBuffer.from(data || '');
+    },
+
+    // HELPER
+    _token(refresh, callback) {
+
+        // Let
+        let auth = this.auth;
+
+        // Checking
+        if (!auth || auth.type !== 'bearer' || !auth.getToken || (!refresh && this._auth.token)) { callback(null); return; }
 
         // Resolving
-        resolver(this.error, null);
+        Promise.resolve()
+            .then(() => auth.getToken(refresh, this))
+            .then(token => { this._auth.token = XP.isString(token, true) ? token : null; return this._auth.token ? null : XP.error(401, 'Invalid token.'); }, error => error)
+            .then(callback);
+    },
+
+    // HELPER
+    _typeOf(data) {
+
+        // Returning
+        if (XP.isVoid(data)) { return 'void'; }
+        if (XP.isInput(data)) { return 'input'; }
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) { return 'binary'; }
+        if (!http && typeof Blob !== 'undefined' && data instanceof Blob) { return 'blob'; }
+        if (http && XP.isFunction(data.pipe) && XP.isFunction(data.on)) { return 'stream'; }
+        if (XP.isCollection(data)) { return 'collection'; }
+
+        // Returning
+        return null;
+    },
+
+    // HELPER
+    _unsubscribe() {
+
+        // Let
+        let flight = this._flight;
+
+        // Checking
+        if (!flight) { return; }
+
+        // Ignoring
+        Object.keys(flight.listeners).forEach(type => flight.source.removeListener(type, flight.listeners[type]));
+
+        // Unsubscribing
+        flight.source._subscribers.delete(this);
+
+        // Resetting
+        this._flight = null;
+
+        // Aborting
+        if (!flight.source._subscribers.size) { flight.source.abort(); }
+    },
+
+    // HELPER
+    _upload(body) {
+
+        // Piping
+        if (this._typeOf(body) === 'stream') { this._pipe(body); return; }
+
+        // Let
+        let request = this.adaptee,
+            buffer  = this._toBuffer(body),
+            offset  = 0;
+
+        // Setting
+        this.upTotal = buffer.length;
+
+        // Checking
+        if (!buffer.length) { request.end(); return; }
+
+        // Headers
+        if (!request.hasHeader('Content-Length')) { request.setHeader('Content-Length', buffer.length); }
+
+        // Writing
+        let uploaded = (length, error) => !error && request === this.adaptee && this._handleUpload(length),
+            write    = () => {
+                while (offset < buffer.length) {
+                    let chunk = buffer.slice(offset, offset += 65536);
+                    if (!request.write(chunk, uploaded.bind(null, chunk.length))) { request.once('drain', write); return; }
+                }
+                request.end();
+            };
+
+        // Uploading
+        write();
+    },
+
+    /*********************************************************************/
+
+    // HANDLER
+    _handleConnect() {
+
+        // Clearing
+        this._clearTimeout('connect');
+    },
+
+    // HANDLER
+    _handleData(chunk) {
+
+        // Checking
+        if (this.tsAbort) { return; }
+
+        // Setting
+        this.downDecoded += chunk.length;
+
+        // Pushing
+        if (parsers[this._parser].parse) { this.chunks.push(chunk); }
+
+        // Streaming
+        if (this._feed) { this._stream(this._feed.decoder.decode(chunk, {stream: true}), false); }
+    },
+
+    // HANDLER
+    _handleDownload(event) {
+
+        // Checking
+        if (this.tsAbort) { return; }
+
+        // Timing
+        this._setTimeout('idle');
+
+        // Streaming (xhr)
+        if (this._transport === 'xhr' && this._feed) { this._stream(this._slice(event.target), false); }
+
+        // Setting
+        this.downLoaded += this._transport === 'xhr' ? event.loaded : XP.byteLength(event);
+
+        // Setting (xhr)
+        if (this._transport === 'xhr') { this.downDecoded = this.downLoaded; }
+
+        // Emitting
+        this.emit('download', this.downLoaded, this.downTotal);
+    },
+
+    // HANDLER
+    _handleEnd(event) {
+
+        // Checking
+        if (this.tsAbort) { return; }
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Streaming
+        if (this._feed) { this._stream(this._transport === 'xhr' ? this._slice(event.target) : this._feed.decoder.decode(), true); }
+
+        // Checking
+        if (this.tsAbort || this._stopped) { return; }
+
+        // Let
+        let parser = parsers[this._parser],
+            data   = null,
+            result = null;
+
+        // Reading
+        if (parser.parse && this._transport !== 'xhr') { data = parser.binary ? XPBuffer.concat(this.chunks) : XPBuffer.concat(this.chunks).toString(); }
+        if (parser.parse && this._transport === 'xhr') { data = parser.binary ? XPBuffer.from(event.target.response) : event.target.responseText; }
+        if (parser.parse && this.fromCache) { data = this._cached.body; }
+
+        // Parsing
+        result = this._parse(parser, data);
+
+        // Caching
+        if (this.cache && !result.failure) { this._save(data); }
+
+        // Marking
+        this._mark('end');
+
+        // Setting
+        this.tsData  = Date.now();
+        this.timings = this._timings();
+
+        // Measuring
+        setTimeout(this._handleTiming, 0, this._marks);
+
+        // Setting (http)
+        if (this.error) { this.error.body = result.failure ? data : XP.toDefined(result.parsed); }
+
+        // Failing (parse)
+        if (result.failure && !this.error) { this.error = result.failure; }
+
+        // Intercepting
+        this._intercept(this.error ? 'error' : 'response', {data: result.parsed, error: this.error, replay: false}, this._settle.bind(this, 'failed'));
+    },
+
+    // HANDLER
+    _handleError(error) {
+
+        // Checking
+        if (this.tsAbort) { return; }
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Let
+        error = this._transport === 'xhr' ? this._error('network', 0, 'Request not sent.', error) : this._error(this._errorType(error), 0, (error.cause && error.cause.message) || error.message, error);
+
+        // Retrying
+        if (this._retry(error)) { return; }
+
+        // Detaching
+        this._detach();
+
+        // Intercepting
+        this._intercept('error', {data: null, error: error, replay: false}, this._settle.bind(this, 'failed'));
+    },
+
+    // HANDLER
+    _handleFetch(response) {
+
+        // Let
+        let controller = this.adaptee;
+
+        // Connecting
+        this._handleConnect();
+
+        // Responding
+        this._handleResponse(response);
+
+        // Checking
+        if (controller.signal.aborted) { return; }
+
+        // Let
+        let body   = this._parser === 'buffer' && !this.error ? response.clone().body : response.body,
+            reader = body && body.getReader();
+
+        // Reading
+        let read = () => reader.read().then(result => {
+            if (controller.signal.aborted || this.tsAbort) { return; }
+            if (result.done) { this._handleEnd(); return; }
+            let chunk = XPBuffer.from(result.value.buffer, result.value.byteOffset, result.value.byteLength);
+            this._handleDownload(chunk);
+            this._handleData(chunk);
+            read();
+        }, error => !controller.signal.aborted && this._handleError(error));
+
+        // Reading
+        if (reader) { read(); } else { this._handleEnd(); }
+    },
+
+    // HANDLER
+    _handleHeaders(event) {
+
+        // Let
+        let xhr = event.target;
+
+        // Checking
+        if (xhr.readyState !== 2 || this._parser) { return; }
+
+        // Parsing
+        this._parser = this._pickParser(xhr.getResponseHeader('Content-Type'));
+
+        // Casting
+        if (parsers[this._parser].binary && xhr.responseType !== 'arraybuffer') { xhr.responseType = 'arraybuffer'; }
+    },
+
+    // HANDLER
+    _handleRecordError(line, error) {
+
+        // Checking
+        if (this.tsAbort || this._stopped) { return; }
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Setting
+        this._stopped = true;
+
+        // Intercepting
+        this._intercept('error', {data: null, error: this._error('parse', 0, `Invalid NDJSON record: ${line}`, error), replay: false}, this._settle.bind(this, 'failed'));
     },
 
     // HANDLER
@@ -702,26 +3420,222 @@ module.exports = new XP.Class('XPRequest', {
         if (XP.isDefined(this.statusCode)) { return; }
 
         // Setting
-        this.response      = http ? event : event.target;
-        this.statusCode    = this.response[http ? 'statusCode' : 'status'] || 502;
-        this.statusMessage = this.response[http ? 'statusMessage' : 'statusText'] || codes[this.statusCode] || null;
-        this.error         = this.statusCode >= 400 ? XP.error(this.statusCode, this.statusMessage) : null;
-        this.downTotal     = XP.toDefined(XP.toFinite(http ? this.response.headers['content-length'] : this.response.getResponseHeader('Content-Length')));
-        this.tsResponse    = Date.now();
+        this.response        = this._transport === 'xhr' ? event.target : event;
+        this.responseHeaders = this._responseHeaders();
+        this.statusCode      = this.response[this._transport === 'http' ? 'statusCode' : 'status'] || 502;
+        this.statusMessage   = this.response[this._transport === 'http' ? 'statusMessage' : 'statusText'] || codes[this.statusCode] || null;
+        this.error           = this.statusCode >= 400 ? this._error('http', this.statusCode, this.statusMessage) : null;
+        this.tsResponse      = Date.now();
+
+        // Marking
+        this._mark('response');
+
+        // Let
+        let headers = this.responseHeaders;
+
+        // Setting
+        this.downTotal = XP.toDefined(XP.toFinite(headers['content-length']));
+
+        // Limiting
+        if (this.rateLimit) { this._limiter().update(this._rateLimits()); }
+
+        // Storing
+        if (this._transport === 'http' && this.jar) { this.getResponseHeaders('set-cookie').forEach(header => this.jar.setCookie(header, (this._hop || this).url)); }
+
+        // Redirecting
+        if (this._redirect()) { return; }
+
+        // Authenticating
+        if (this._challenge()) { return; }
+
+        // Retrying
+        if (this.error && this._retry(this.error)) { return; }
+
+        // Revalidating
+        if (this.statusCode === 304 && this._cached && !this._hop) { this.fromCache = true; this._parser = parsers[this._cached.parser] ? this._cached.parser : 'text'; }
+
+        // Timing
+        this._clearTimeout('connect');
+        this._clearTimeout('response');
+        this._setTimeout('idle');
+
+        // Parsing
+        this._parser = this._parser || this._pickParser(headers['content-type']);
+
+        // Streaming
+        if (this._parser === 'stream' && !this.error) {
+            this._feed = {
+                decoder: this._transport === 'xhr' ? null : new TextDecoder(),
+                event: {data: [], event: '', id: '', retry: null},
+                format: /^text\/event-stream/i.test(headers['content-type'] || '') ? 'sse' : 'ndjson',
+                offset: 0,
+                rest: ''
+            };
+        }
+
+        // Decoding
+        if (this._transport === 'http' && this.decompress && zlib) { this._decoder = this._decode(headers['content-encoding']); }
 
         // Listening
-        if (http) { this.response.on('data', this._handleDownload); }
-        if (http) { this.response.once('end', this._handleEnd); }
+        if (this._transport === 'http') { this.response.on('data', this._handleDownload); }
+        if (this._transport === 'http') { (this._decoder || this.response).on('data', this._handleData).once('end', this._handleEnd); }
+        if (this._decoder) { this._decoder.once('error', this._handleError); }
+        if (this._decoder) { this.response.pipe(this._decoder); }
 
         // Emitting
         this.emit('response', this.response);
 
         // Resolving
-        if (this.parser === 'buffer') { resolver(this.error, this.error ? null : this.response); }
+        if (this._parser === 'buffer' && !this.error) { resolver(null, this.response); }
+    },
+
+    // HANDLER
+    _handleSecure(socket) {
+
+        // Checking
+        if (this.tsAbort || !this.adaptee || this.adaptee.socket !== socket) { return; }
+
+        // Marking
+        this._mark('secure');
+
+        // Let
+        let cert   = socket.getPeerCertificate(),
+            pins   = this.tls.pins || [],
+            spki   = cert.pubkey ? `sha256/${crypto.createHash('sha256').update(cert.pubkey).digest('base64')}` : '',
+            digest = (cert.fingerprint256 || '').replace(/:/g, '');
+
+        // Setting
+        this.tlsCipher   = (socket.getCipher() || {}).name || null;
+        this.tlsProtocol = socket.getProtocol() || null;
+
+        // Checking
+        if (!pins.length || pins.some(pin => pin === spki || pin.replace(/:/g, '').toUpperCase() === digest)) { return; }
+
+        // Let
+        let error = this._error('tls', 0, `Certificate pinning failed for ${socket.servername || this.hostname}, the server's public key is ${spki}.`);
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Destroying
+        socket.destroy();
+
+        // Intercepting
+        this._intercept('error', {data: null, error: error, replay: false}, this._settle.bind(this, 'failed'));
+    },
+
+    // HANDLER
+    _handleSocket(socket) {
+
+        // Marking
+        if (socket.connecting) { socket.once('lookup', () => this._mark('lookup')).once('connect', () => this._mark('connect')); } else { this._mark('connect'); }
+
+        // Listening
+        if (socket.connecting) { socket.once('connect', this._handleConnect); } else { this._handleConnect(); }
+
+        // Securing
+        if (socket.encrypted && XP.isEmpty(socket.getPeerCertificate())) { socket.once('secureConnect', () => this._handleSecure(socket)); } else if (socket.encrypted) { this._handleSecure(socket); }
+    },
+
+    // HANDLER
+    _handleTimeout(type) {
+
+        // Checking
+        if (this.tsAbort || this.tsData) { return; }
+
+        // Let
+        let error = this._error('timeout', 408, `${XP.capitalize(type)} timeout of ${this[`${type}Timeout`]}ms exceeded.`);
+
+        // Retrying
+        if (this._retry(error)) { return; }
+
+        // Clearing
+        this._clearTimeouts();
+
+        // Detaching
+        this._detach();
+
+        // Setting
+        this.tsAbort = Date.now();
+
+        // Intercepting
+        this._intercept('error', {data: null, error: error, replay: false}, this._settle.bind(this, 'timeout'));
+    },
+
+    // HANDLER
+    _handleTiming(marks) {
+
+        // Checking
+        if (marks !== this._marks) { return; }
+
+        // Let
+        let entry = this._transport !== 'http' && env.performance && XP.isFunction(env.performance.getEntriesByName) && env.performance.getEntriesByName(this.response.responseURL || this.response.url || this.url, 'resource').pop();
+
+        // Setting
+        if (entry) { this.timings = this._timings(entry); }
+
+        // Emitting
+        this.emit('timing', this.timings);
+    },
+
+    // HANDLER
+    _handleUpload(event) {
+
+        // Checking
+        if (this.tsAbort) { return; }
+
+        // Setting
+        this.upLoaded = this._transport === 'xhr' ? event.loaded : this.upLoaded + event;
+
+        // Setting (xhr)
+        if (this._transport === 'xhr' && event.lengthComputable) { this.upTotal = event.total; }
+
+        // Emitting
+        this.emit('upload', this.upLoaded, this.upTotal);
     }
 });
 
 /*********************************************************************/
 
+// Iterating
+module.exports.prototype[Symbol.asyncIterator] = module.exports.prototype.iterate;
+
+/**
+ * The global error, request and response hooks, run before the instance's ones.
+ *
+ * ```js
+ * XPRequest.interceptors.request.push(config => { config.headers['X-Request-Id'] = XP.uuid(); });
+ * XPRequest.interceptors.error.push(context => { context.replay = context.error.code === 503; });
+ * ```
+ *
+ * @property interceptors
+ * @type Object
+ * @static
+ */
+module.exports.interceptors = interceptors;
+
+/**
+ * The registered transport adapters, by name.
+ *
+ * @property adapters
+ * @type Object
+ * @static
+ */
+module.exports.adapters = adapters;
+
+/**
+ * The request pool class, used to submit requests with limited concurrency.
+ *
+ * @property Pool
+ * @type Function
+ * @static
+ */
+module.exports.Pool = require('./pool');
+
+/*********************************************************************/
+
 // Globalizing
-if (typeof window !== "undefined") { window.XPRequest = module.exports; }
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPRequest = module.exports; }
@@ -0,0 +1,293 @@
+/**
+ * @license
+ * Copyright (c) 2017 The expand.js authors. All rights reserved.
+ * This code may only be used under the BSD style license found at https://expandjs.github.io/LICENSE.txt
+ * The complete set of authors may be found at https://expandjs.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at https://expandjs.github.io/CONTRIBUTORS.txt
+ */
+
+// Const
+const env = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    XP    = env.XP || require('expandjs');
+
+/*********************************************************************/
+
+/**
+ * A class used to store cookies on server side, following RFC 6265.
+ *
+ * @class XPCookieJar
+ * @description A class used to store cookies on server side
+ * @keywords nodejs, expandjs
+ * @source https://github.com/expandjs/xp-request/blob/master/lib/jar.js
+ */
+module.exports = new XP.Class('XPCookieJar', {
+
+    /**
+     * @constructs
+     * @param {Array | string} [cookies] The cookies to load, as returned by `serialize`
+     */
+    initialize(cookies) {
+
+        // Setting
+        this.cookies = [];
+
+        // Loading
+        if (cookies) { this.load(cookies); }
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Returns the Cookie header to send to `url`.
+     *
+     * @method getCookieHeader
+     * @param {string} url
+     * @param {Object} [options] The same options of `getCookies`
+     * @returns {string}
+     */
+    getCookieHeader(url, options) {
+
+        // Returning
+        return this.getCookies(url, options).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    },
+
+    /**
+     * Returns the cookies to send to `url`, in the order they should appear in the Cookie header.
+     *
+     * @method getCookies
+     * @param {string} url
+     * @param {Object} [options]
+     *   @param {string} [options.method = "GET"] The request's method, "Lax" cookies are sent cross-site only with safe methods
+     *   @param {string} [options.site] The url of the request's originator, the request is considered same-site when omitted
+     * @returns {Array}
+     */
+    getCookies(url, options) {
+
+        // Asserting
+        XP.assertArgument(XP.isString(url, true), 1, 'string');
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 2, 'Object');
+
+        // Let
+        let target = new URL(url),
+            host   = target.hostname.toLowerCase(),
+            method = XP.upperCase(options && options.method || 'GET'),
+            cross  = !!(options && options.site) && this._siteOf(options.site) !== this._siteOf(url),
+            secure = ['https:', 'wss:'].includes(target.protocol),
+            now    = Date.now();
+
+        // Purging
+        this._purge(now);
+
+        // Returning
+        return this.cookies
+            .filter(cookie => cookie.hostOnly ? host === cookie.domain : this._domainMatch(host, cookie.domain))
+            .filter(cookie => this._pathMatch(target.pathname, cookie.path) && (secure || !cookie.secure))
+            .filter(cookie => !cross || cookie.sameSite === 'none' || (cookie.sameSite === 'lax' && ['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(method)))
+            .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation)
+            .map(cookie => Object.assign({}, Object.assign(cookie, {lastAccess: now})));
+    },
+
+    /**
+     * Loads cookies, as returned by `serialize`, skipping the expired ones.
+     *
+     * @method load
+     * @param {Array | string} cookies
+     */
+    load(cookies) {
+
+        // Parsing
+        if (XP.isString(cookies)) { cookies = XP.parseJSON(cookies); }
+
+        // Asserting
+        XP.assertArgument(XP.isArray(cookies), 1, 'Array');
+
+        // Storing
+        cookies.forEach(cookie => XP.isObject(cookie) && XP.isString(cookie.name, true) && XP.isString(cookie.domain, true) && this._store(Object.assign({
+            value: '',
+            path: '/',
+            expires: null,
+            hostOnly: true,
+            httpOnly: false,
+            secure: false,
+            sameSite: 'none',
+            creation: Date.now(),
+            lastAccess: Date.now()
+        }, cookie)));
+    },
+
+    /**
+     * Returns the stored cookies as plain objects, usable with `load` or JSON.stringify.
+     *
+     * @method serialize
+     * @returns {Array}
+     */
+    serialize() {
+
+        // Purging
+        this._purge(Date.now());
+
+        // Returning
+        return this.cookies.map(cookie => Object.assign({}, cookie));
+    },
+
+    /**
+     * Stores a cookie received from `url` in a Set-Cookie header.
+     * Returns the stored cookie, or null if it was rejected.
+     *
+     * @method setCookie
+     * @param {string} header
+     * @param {string} url
+     * @returns {Object}
+     */
+    setCookie(header, url) {
+
+        // Asserting
+        XP.assertArgument(XP.isString(header), 1, 'string');
+        XP.assertArgument(XP.isString(url, true), 2, 'string');
+
+        // Let
+        let target = new URL(url),
+            host   = target.hostname.toLowerCase(),
+            parts  = header.split(';'),
+            pair   = parts.shift(),
+            index  = pair.indexOf('='),
+            maxAge = null,
+            now    = Date.now();
+
+        // Let
+        let cookie = {
+            name: pair.slice(0, Math.max(index, 0)).trim(),
+            value: pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1'),
+            domain: host,
+            path: this._defaultPath(target.pathname),
+            expires: null,
+            hostOnly: true,
+            httpOnly: false,
+            secure: false,
+            sameSite: 'none',
+            creation: now,
+            lastAccess: now
+        };
+
+        // Checking
+        if (!cookie.name) { return null; }
+
+        // Parsing
+        parts.forEach(part => {
+            let separator = part.indexOf('='),
+                key       = (separator < 0 ? part : part.slice(0, separator)).trim().toLowerCase(),
+                value     = separator < 0 ? '' : part.slice(separator + 1).trim();
+            if (key === 'domain' && value) { cookie.domain = value.replace(/^\./, '').toLowerCase(); cookie.hostOnly = false; }
+            if (key === 'expires' && !isNaN(Date.parse(value))) { cookie.expires = Date.parse(value); }
+            if (key === 'httponly') { cookie.httpOnly = true; }
+            if (key === 'max-age' && /^-?\d+$/.test(value)) { maxAge = parseInt(value, 10); }
+            if (key === 'path') { cookie.path = value.startsWith('/') ? value : this._defaultPath(target.pathname); }
+            if (key === 'samesite' && ['lax', 'none', 'strict'].includes(value.toLowerCase())) { cookie.sameSite = value.toLowerCase(); }
+            if (key === 'secure') { cookie.secure = true; }
+        });
+
+        // Overriding
+        if (maxAge !== null) { cookie.expires = maxAge > 0 ? now + maxAge * 1000 : 0; }
+
+        // Checking
+        if (!cookie.hostOnly && (!this._domainMatch(host, cookie.domain) || (!cookie.domain.includes('.') && cookie.domain !== host))) { return null; }
+        if (cookie.secure && !['https:', 'wss:'].includes(target.protocol)) { return null; }
+        if (cookie.name.startsWith('__Secure-') && !cookie.secure) { return null; }
+        if (cookie.name.startsWith('__Host-') && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) { return null; }
+
+        // Storing
+        return this._store(cookie);
+    },
+
+    /*********************************************************************/
+
+    /**
+     * The stored cookies.
+     *
+     * @property cookies
+     * @type Array
+     * @readonly
+     */
+    cookies: {
+        set(val) { return this.cookies || val; },
+        validate(val) { return !XP.isArray(val) && 'Array'; }
+    },
+
+    /*********************************************************************/
+
+    // HELPER
+    _defaultPath(pathname) {
+
+        // Let
+        let index = pathname.lastIndexOf('/');
+
+        // Returning
+        return pathname.startsWith('/') && index > 0 ? pathname.slice(0, index) : '/';
+    },
+
+    // HELPER
+    _domainMatch(host, domain) {
+
+        // Returning
+        return host === domain || (host.endsWith(`.${domain}`) && !this._isIP(host));
+    },
+
+    // HELPER
+    _isIP(host) {
+
+        // Returning
+        return XP.isIPV4(host) || host.startsWith('[');
+    },
+
+    // HELPER
+    _pathMatch(pathname, path) {
+
+        // Returning
+        return pathname === path || (pathname.startsWith(path) && (path.endsWith('/') || pathname[path.length] === '/'));
+    },
+
+    // HELPER
+    _purge(now) {
+
+        // Removing
+        this.cookies.splice(0, this.cookies.length, ...this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now));
+    },
+
+    // HELPER
+    _siteOf(url) {
+
+        // Let
+        let target = new URL(url),
+            host   = target.hostname.toLowerCase();
+
+        // Returning (approximated without a public suffix list)
+        return `${target.protocol}//${this._isIP(host) ? host : host.split('.').slice(-2).join('.')}`;
+    },
+
+    // HELPER
+    _store(cookie) {
+
+        // Let
+        let index = this.cookies.findIndex(item => item.name === cookie.name && item.domain === cookie.domain && item.path === cookie.path);
+
+        // Preserving
+        if (index >= 0) { cookie.creation = this.cookies[index].creation; }
+
+        // Removing
+        if (index >= 0) { this.cookies.splice(index, 1); }
+
+        // Checking
+        if (cookie.expires !== null && cookie.expires <= Date.now()) { return null; }
+
+        // Pushing
+        this.cookies.push(cookie);
+
+        // Returning
+        return Object.assign({}, cookie);
+    }
+});
+
+/*********************************************************************/
+
+// Globalizing
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPCookieJar = module.exports; }
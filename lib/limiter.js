@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Copyright (c) 2017 The expand.js authors. All rights reserved.
+ * This code may only be used under the BSD style license found at https://expandjs.github.io/LICENSE.txt
+ * The complete set of authors may be found at https://expandjs.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at https://expandjs.github.io/CONTRIBUTORS.txt
+ */
+
+// Const
+const env = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    XP    = env.XP || require('expandjs');
+
+/*********************************************************************/
+
+/**
+ * A class used to pace requests with a token bucket, holding them back while the server's rate limit window is exhausted.
+ *
+ * @class XPRateLimiter
+ * @description A class used to pace requests with a token bucket
+ * @keywords nodejs, expandjs
+ * @source https://github.com/expandjs/xp-request/blob/master/lib/limiter.js
+ */
+module.exports = new XP.Class('XPRateLimiter', {
+
+    /**
+     * @constructs
+     * @param {Object} [options]
+     *   @param {number} [options.interval = 1000] The interval in which `requests` can be sent, in milliseconds
+     *   @param {number} [options.requests = 0] The number of requests allowed per interval, 0 for no limit
+     */
+    initialize(options) {
+
+        // Asserting
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 1, 'Object');
+
+        // Setting
+        this.options  = options || {};
+        this.interval = XP.isDefined(this.options.interval) ? this.options.interval : 1000;
+        this.requests = this.options.requests || 0;
+        this.tokens   = this.requests;
+        this.until    = 0;
+        this._updated = Date.now();
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Reserves a slot for a request, returning how long it must wait before being sent, in milliseconds.
+     *
+     * @method reserve
+     * @returns {number}
+     */
+    reserve() {
+
+        // Let
+        let now = Date.now();
+
+        // Refilling
+        this._refill(now);
+
+        // Consuming
+        if (this.requests) { this.tokens -= 1; }
+
+        // Returning
+        return Math.ceil(Math.max(0, this.until - now, this.tokens < 0 ? -this.tokens * this.interval / this.requests : 0));
+    },
+
+    /**
+     * Adapts the limiter to the rate limit state reported by the server.
+     *
+     * @method update
+     * @param {Object} state
+     *   @param {number} [state.remaining] The number of requests left in the current window
+     *   @param {number} [state.reset] When the current window resets, as timestamp
+     *   @param {number} [state.retryAfter] When requests can be sent again, as timestamp
+     */
+    update(state) {
+
+        // Asserting
+        XP.assertArgument(XP.isObject(state), 1, 'Object');
+
+        // Refilling
+        this._refill(Date.now());
+
+        // Adapting
+        if (XP.isFinite(state.remaining) && this.requests) { this.tokens = Math.min(this.tokens, state.remaining); }
+        if (XP.isFinite(state.retryAfter)) { this.until = Math.max(this.until, state.retryAfter); }
+        if (XP.isFinite(state.reset) && state.remaining === 0) { this.until = Math.max(this.until, state.reset); }
+    },
+
+    /*********************************************************************/
+
+    /**
+     * The interval in which `requests` can be sent, in milliseconds.
+     *
+     * @property interval
+     * @type number
+     * @default 1000
+     */
+    interval: {
+        set(val) { return val; },
+        validate(val) { return !(XP.isInt(val, true) && val > 0) && 'number'; }
+    },
+
+    /**
+     * The number of requests allowed per interval, 0 for no limit.
+     *
+     * @property requests
+     * @type number
+     * @default 0
+     */
+    requests: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The available tokens, negative when requests are waiting.
+     *
+     * @property tokens
+     * @type number
+     * @readonly
+     */
+    tokens: {
+        set(val) { return val; },
+        validate(val) { return !XP.isFinite(val) && 'number'; }
+    },
+
+    /**
+     * The timestamp until which requests are held back.
+     *
+     * @property until
+     * @type number
+     * @readonly
+     */
+    until: {
+        set(val) { return val; },
+        validate(val) { return !XP.isFinite(val) && 'number'; }
+    },
+
+    /*********************************************************************/
+
+    // HELPER
+    _refill(now) {
+
+        // Refilling
+        if (this.requests) { this.tokens = Math.min(this.requests, this.tokens + (now - this._updated) * this.requests / this.interval); }
+
+        // Setting
+        this._updated = now;
+    }
+});
+
+/*********************************************************************/
+
+// Globalizing
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPRateLimiter = module.exports; }
@@ -0,0 +1,342 @@
+/**
+ * @license
+ * Copyright (c) 2017 The expand.js authors. All rights reserved.
+ * This code may only be used under the BSD style license found at https://expandjs.github.io/LICENSE.txt
+ * The complete set of authors may be found at https://expandjs.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at https://expandjs.github.io/CONTRIBUTORS.txt
+ */
+
+// Const
+const node   = typeof process !== "undefined" && !!process.versions && !!process.versions.node,
+    env      = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    stream   = node ? require('stream') : null,
+    XP       = env.XP || require('expandjs'),
+    XPBuffer = env.XPBuffer || require('xp-buffer');
+
+/*********************************************************************/
+
+/**
+ * A class used as transport adapter in tests, answering requests with canned responses instead of sending them.
+ *
+ * It emulates Node's ClientRequest on server side and XMLHttpRequest in the browser,
+ * so requests go through the same steps and emit the same events they would with a real transport.
+ *
+ * ```js
+ * let mock = new XPRequest.MockAdapter();
+ *
+ * mock.when({method: 'GET', url: '/items'}, {body: [{id: 1}]});
+ * mock.when({method: 'POST', url: '/items', body: {name: 'foo'}}, call => ({status: 201, body: JSON.parse(call.body)}));
+ * mock.when('/slow', {delay: 1000, status: 204});
+ * mock.when(/\/broken$/, {error: 'Connection refused.'});
+ *
+ * let items = await new XPRequest({url: 'https://example.com/items', adapter: mock}).submit();
+ *
+ * mock.calls[0]; // {body: '', headers: {...}, method: 'GET', url: 'https://example.com/items'}
+ * ```
+ *
+ * @class XPMockAdapter
+ * @description A class used as transport adapter in tests
+ * @keywords nodejs, expandjs
+ * @source https://github.com/expandjs/xp-request/blob/master/lib/mock.js
+ */
+module.exports = new XP.Class('XPMockAdapter', {
+
+    /**
+     * @constructs
+     * @param {Object} [options]
+     *   @param {string} [options.type] The emulated transport, between "http" and "xhr", by default "http" on server side and "xhr" in the browser
+     */
+    initialize(options) {
+
+        // Asserting
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 1, 'Object');
+
+        // Setting
+        this._routes = [];
+        this.calls   = [];
+        this.options = options || {};
+        this.type    = this.options.type || (stream ? 'http' : 'xhr');
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Creates the object the request is sent through, as the adapter interface requires.
+     *
+     * @method request
+     * @param {Object} [options] With "http", the same options of Node's `http.request`
+     * @returns {Object}
+     */
+    request(options) {
+
+        // Returning
+        return this.type === 'http' ? this._http(options) : this._xhr();
+    },
+
+    /**
+     * Removes the recorded calls and the registered responses.
+     *
+     * @method reset
+     */
+    reset() {
+
+        // Clearing
+        this._routes.length = 0;
+        this.calls.length   = 0;
+    },
+
+    /**
+     * Registers the response for the requests matching `matcher`, checked in the order they are registered.
+     * Requests matching no response fail as if the server could not be reached.
+     *
+     * The matcher can be an url, a RegExp tested against the url, a function called with the call,
+     * or an object with `method`, `url` and `body`. A relative url is matched against the call's path,
+     * while a body is matched as string, RegExp, function, or as object against the JSON or form encoded body.
+     *
+     * The response can be a status code, an object, or a function called with the call and returning (or resolving) one of them.
+     *
+     * @method when
+     * @param {Function | Object | RegExp | string} matcher
+     * @param {Function | Object | number} response
+     *   @param {*} [response.body] The response's body, collections are sent as JSON
+     *   @param {number} [response.delay = 0] How long to wait before responding, in milliseconds
+     *   @param {Error | string} [response.error] The network error to fail with, instead of responding
+     *   @param {Object} [response.headers] The response's headers
+     *   @param {number} [response.status = 200] The response's status code
+     *   @param {string} [response.statusText] The response's status message
+     * @returns {Object}
+     */
+    when(matcher, response) {
+
+        // Asserting
+        XP.assertArgument(XP.isFunction(matcher) || XP.isObject(matcher) || XP.isRegExp(matcher) || XP.isString(matcher, true), 1, 'Function, Object, RegExp or string');
+        XP.assertArgument(XP.isFunction(response) || XP.isObject(response) || XP.isInt(response, true), 2, 'Function, Object or number');
+
+        // Registering
+        this._routes.push({matcher: matcher, response: response});
+
+        // Returning
+        return this;
+    },
+
+    /*********************************************************************/
+
+    /**
+     * The recorded calls, each with its body, headers, method and url.
+     *
+     * @property calls
+     * @type Array
+     * @readonly
+     */
+    calls: {
+        set(val) { return this.calls || val; },
+        validate(val) { return !XP.isArray(val) && 'Array'; }
+    },
+
+    /**
+     * The emulated transport, between "http" and "xhr".
+     *
+     * @property type
+     * @type string
+     * @readonly
+     */
+    type: {
+        set(val) { return this.type || val; },
+        validate(val) { return !['http', 'xhr'].includes(val) && 'string'; }
+    },
+
+    /*********************************************************************/
+
+    // HELPER
+    _http(options) {
+
+        // Let
+        let headers = {},
+            chunks  = [],
+            aborted = false,
+            url     = /^[a-z]+:\/\//i.test(options.path) ? options.path : `${options.protocol}//${options.hostname}${options.port ? `:${options.port}` : ``}${options.path}`;
+
+        // Let
+        let request = new stream.Writable({
+            write(chunk, encoding, callback) { chunks.push(XPBuffer.from(chunk, encoding)); callback(); },
+            final: callback => {
+                callback();
+                this._respond({body: XPBuffer.concat(chunks).toString(), headers: Object.assign({}, headers), method: options.method, url: url}, (error, mocked) => {
+                    if (aborted) { return; }
+                    if (error) { request.emit('error', error); return; }
+                    let response = new stream.PassThrough();
+                    response.headers       = Object.keys(mocked.headers).reduce((result, key) => Object.assign(result, {[key.toLowerCase()]: mocked.headers[key]}), {});
+                    response.statusCode    = mocked.status;
+                    response.statusMessage = mocked.statusText;
+                    request.emit('response', response);
+                    response.end(mocked.body);
+                });
+            }
+        });
+
+        // Adapting
+        Object.assign(request, {
+            abort() { aborted = true; },
+            getHeader(name) { return headers[name.toLowerCase()]; },
+            hasHeader(name) { return XP.isDefined(headers[name.toLowerCase()]); },
+            removeHeader(name) { delete headers[name.toLowerCase()]; },
+            setHeader(name, value) { headers[name.toLowerCase()] = value; }
+        });
+
+        // Connecting
+        setTimeout(() => !aborted && request.emit('socket', {connecting: false}));
+
+        // Returning
+        return request;
+    },
+
+    // HELPER
+    _match(matcher, call) {
+
+        // Let
+        let path = call.url.replace(/^[a-z]+:\/\/[^/]*/i, '') || '/',
+            url  = value => XP.isRegExp(value) ? value.test(call.url) : value === call.url || value === path,
+            body = value => {
+                if (XP.isRegExp(value)) { return value.test(call.body); }
+                if (XP.isFunction(value)) { return !!value(call.body); }
+                if (XP.isObject(value) || XP.isArray(value)) { return XP.isEqual(value, XP.isString(call.body) ? XP.parseJSON(call.body) || XP.parseQueryString(call.body) : call.body); }
+                return value === call.body;
+            };
+
+        // Matching
+        if (XP.isFunction(matcher)) { return !!matcher(call); }
+        if (!XP.isObject(matcher) || XP.isRegExp(matcher)) { return url(matcher); }
+
+        // Returning
+        return (!matcher.method || XP.upperCase(matcher.method) === call.method) && (!matcher.url || url(matcher.url)) && (XP.isVoid(matcher.body) || body(matcher.body));
+    },
+
+    // HELPER
+    _respond(call, callback) {
+
+        // Let
+        let route = this._routes.find(item => this._match(item.matcher, call));
+
+        // Recording
+        this.calls.push(call);
+
+        // Checking
+        if (!route) { setTimeout(() => callback(new Error(`No mocked response for ${call.method} ${call.url}.`))); return; }
+
+        // Resolving
+        Promise.resolve().then(() => XP.isFunction(route.response) ? route.response(call) : route.response).then(response => {
+
+            // Overriding
+            if (XP.isInt(response, true)) { response = {status: response}; }
+
+            // Let
+            let body    = XP.isVoid(response.body) ? '' : response.body,
+                json    = !XP.isString(body) && !XPBuffer.isBuffer(body),
+                headers = Object.assign(json ? {'Content-Type': 'application/json'} : {}, response.headers);
+
+            // Encoding
+            if (json) { body = JSON.stringify(body); }
+
+            // Headers
+            if (!Object.keys(headers).some(key => key.toLowerCase() === 'content-length')) { headers['Content-Length'] = XP.byteLength(body); }
+
+            // Responding
+            setTimeout(() => {
+                if (response.error) { callback(XP.isString(response.error) ? new Error(response.error) : response.error); return; }
+                callback(null, {body: body, headers: headers, status: response.status || 200, statusText: response.statusText || ''});
+            }, response.delay || 0);
+
+        }).catch(error => callback(error));
+    },
+
+    // HELPER
+    _xhr() {
+
+        // Let
+        let listeners = {xhr: {}, upload: {}},
+            headers   = {},
+            aborted   = false,
+            call      = null,
+            mocked    = null;
+
+        // Let
+        let target = store => ({
+            addEventListener(type, listener) { (store[type] = store[type] || []).push(listener); },
+            removeEventListener(type, listener) { store[type] = (store[type] || []).filter(item => item !== listener); }
+        });
+
+        // Let
+        let xhr = Object.assign(target(listeners.xhr), {
+            readyState: 0,
+            response: null,
+            responseText: '',
+            responseType: '',
+            status: 0,
+            statusText: '',
+            upload: target(listeners.upload),
+            abort() { aborted = true; },
+            getAllResponseHeaders() { return mocked ? Object.keys(mocked.headers).map(key => `${key.toLowerCase()}: ${mocked.headers[key]}`).join('\r\n') : ''; },
+            getResponseHeader(name) { let key = mocked && Object.keys(mocked.headers).find(item => item.toLowerCase() === name.toLowerCase()); return key ? `${mocked.headers[key]}` : null; },
+            open(method, url) { call = {body: '', headers: headers, method: method, url: url}; xhr.readyState = 1; },
+            setRequestHeader(name, value) { headers[name.toLowerCase()] = value; }
+        });
+
+        // Let
+        let dispatch = (store, type, event) => !aborted && (store[type] || []).slice().forEach(listener => listener(Object.assign({target: xhr, type: type}, event)));
+
+        // Sending
+        xhr.send = body => {
+
+            // Setting
+            call.body = XP.isVoid(body) ? '' : body;
+
+            // Let
+            let size = XP.isString(call.body) || XPBuffer.isBuffer(call.body) ? XP.byteLength(call.body) : call.body.size || call.body.byteLength || 0;
+
+            // Uploading
+            if (size) { setTimeout(() => dispatch(listeners.upload, 'progress', {lengthComputable: true, loaded: size, total: size})); }
+
+            // Responding
+            this._respond(call, (error, response) => {
+
+                // Failing
+                if (error) { dispatch(listeners.xhr, 'error', {}); return; }
+
+                // Let
+                let buffer = XPBuffer.from(response.body);
+
+                // Setting
+                mocked         = response;
+                xhr.readyState = 2;
+                xhr.status     = response.status;
+                xhr.statusText = response.statusText;
+
+                // Emitting
+                dispatch(listeners.xhr, 'readystatechange', {});
+
+                // Setting
+                xhr.readyState   = 3;
+                xhr.responseText = buffer.toString();
+                xhr.response     = xhr.responseType === 'arraybuffer' ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length) : xhr.responseText;
+
+                // Emitting
+                if (buffer.length) { dispatch(listeners.xhr, 'progress', {lengthComputable: true, loaded: buffer.length, total: buffer.length}); }
+
+                // Setting
+                xhr.readyState = 4;
+
+                // Emitting
+                dispatch(listeners.xhr, 'readystatechange', {});
+                dispatch(listeners.xhr, 'load', {});
+            });
+        };
+
+        // Returning
+        return xhr;
+    }
+});
+
+/*********************************************************************/
+
+// Globalizing
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPMockAdapter = module.exports; }
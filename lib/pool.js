@@ -0,0 +1,299 @@
+/**
+ * @license
+ * Copyright (c) 2017 The expand.js authors. All rights reserved.
+ * This code may only be used under the BSD style license found at https://expandjs.github.io/LICENSE.txt
+ * The complete set of authors may be found at https://expandjs.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at https://expandjs.github.io/CONTRIBUTORS.txt
+ */
+
+// Const
+const env     = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    XP        = env.XP || require('expandjs'),
+    XPEmitter = env.XPEmitter || require('xp-emitter'),
+    XPRequest = require('./index');
+
+/*********************************************************************/
+
+/**
+ * A class used to submit requests with limited concurrency, globally and per host.
+ *
+ * ```js
+ * let pool = new XPRequestPool({concurrency: 8, hostConcurrency: 2});
+ *
+ * let request = pool.add({url: 'https://example.com/items'}, {priority: 1});
+ *
+ * let items = await request.promise;
+ * ```
+ *
+ * @class XPRequestPool
+ * @extends XPEmitter /bower_components/xp-emitter/lib/index.js
+ * @description A class used to submit requests with limited concurrency
+ * @keywords nodejs, expandjs
+ * @source https://github.com/expandjs/xp-request/blob/master/lib/pool.js
+ */
+module.exports = new XP.Class('XPRequestPool', {
+
+    // EXTENDS
+    extends: XPEmitter,
+
+    /*********************************************************************/
+
+    /**
+     * Emitted when the last queued request is submitted.
+     *
+     * @event drain
+     */
+
+    /**
+     * Emitted when there are no more queued or active requests.
+     *
+     * @event idle
+     */
+
+    /*********************************************************************/
+
+    /**
+     * @constructs
+     * @param {Object} [options]
+     *   @param {number} [options.concurrency = 10] The maximum number of active requests
+     *   @param {number} [options.hostConcurrency = 6] The maximum number of active requests per host, 0 for no limit
+     */
+    initialize(options) {
+
+        // Super
+        XPEmitter.call(this);
+
+        // Asserting
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 1, 'Object');
+
+        // Setting
+        this._active         = new Set();
+        this._hosts          = {};
+        this._queue          = [];
+        this.completed       = 0;
+        this.options         = options || {};
+        this.concurrency     = XP.isDefined(this.options.concurrency) ? this.options.concurrency : 10;
+        this.hostConcurrency = XP.isDefined(this.options.hostConcurrency) ? this.options.hostConcurrency : 6;
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Queues a request, creating it from `request` if options are provided, and returns it.
+     * Requests are submitted by priority, then in the order they were added.
+     *
+     * @method add
+     * @param {Object | string} request The request, or its options
+     * @param {Object} [options]
+     *   @param {*} [options.data] The data to submit
+     *   @param {number} [options.priority = 0] The request's priority, higher is sooner
+     * @returns {XPRequest}
+     */
+    add(request, options) {
+
+        // Overriding
+        if (!(request instanceof XPRequest)) { request = new XPRequest(request); }
+
+        // Asserting
+        XP.assertArgument(request.state === 'idle' && !this.has(request), 1, 'XPRequest');
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 2, 'Object');
+        XP.assertOption(XP.isVoid(options && options.priority) || XP.isFinite(options.priority), 'options.priority', 'number');
+
+        // Let
+        let entry = {data: options && options.data, host: `${request.protocol}//${request.host}`, priority: options && options.priority || 0, request: request},
+            index = this._queue.findIndex(item => item.priority < entry.priority);
+
+        // Starting
+        if (!this._queue.length && this._fits(entry)) { this._start(entry); return request; }
+
+        // Queueing
+        this._queue.splice(index < 0 ? this._queue.length : index, 0, entry);
+
+        // Dispatching
+        this._next();
+
+        // Returning
+        return request;
+    },
+
+    /**
+     * Cancels a request: a queued one is removed without being submitted, an active one is aborted.
+     * Either way, the request's promise is rejected with an "abort" error.
+     *
+     * @method cancel
+     * @param {XPRequest} request
+     * @returns {boolean}
+     */
+    cancel(request) {
+
+        // Let
+        let index  = this._queue.findIndex(item => item.request === request),
+            active = Array.from(this._active).some(item => item.request === request);
+
+        // Aborting
+        if (index < 0 && active) { request.abort(); }
+
+        // Checking
+        if (index < 0) { return active; }
+
+        // Removing
+        this._queue.splice(index, 1);
+
+        // Aborting
+        request.abort();
+
+        // Counting
+        this.completed++;
+
+        // Emitting
+        this._notify();
+
+        // Returning
+        return true;
+    },
+
+    /**
+     * Returns true if the request is queued or active in the pool.
+     *
+     * @method has
+     * @param {XPRequest} request
+     * @returns {boolean}
+     */
+    has(request) {
+
+        // Returning
+        return this._queue.some(item => item.request === request) || Array.from(this._active).some(item => item.request === request);
+    },
+
+    /*********************************************************************/
+
+    /**
+     * The number of active requests.
+     *
+     * @property active
+     * @type number
+     * @readonly
+     */
+    active: {
+        get() { return this._active.size; }
+    },
+
+    /**
+     * The number of completed requests, including the failed and aborted ones.
+     *
+     * @property completed
+     * @type number
+     * @readonly
+     */
+    completed: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The maximum number of active requests.
+     *
+     * @property concurrency
+     * @type number
+     * @default 10
+     */
+    concurrency: {
+        set(val) { return val; },
+        then() { this._next(); },
+        validate(val) { return !(XP.isInt(val, true) && val > 0) && 'number'; }
+    },
+
+    /**
+     * The maximum number of active requests per host, 0 for no limit.
+     *
+     * @property hostConcurrency
+     * @type number
+     * @default 6
+     */
+    hostConcurrency: {
+        set(val) { return val; },
+        then() { this._next(); },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    },
+
+    /**
+     * The number of queued requests.
+     *
+     * @property queued
+     * @type number
+     * @readonly
+     */
+    queued: {
+        get() { return this._queue.length; }
+    },
+
+    /*********************************************************************/
+
+    // HELPER
+    _fits(entry) {
+
+        // Returning
+        return this._active.size < this.concurrency && (!this.hostConcurrency || (this._hosts[entry.host] || 0) < this.hostConcurrency);
+    },
+
+    // HELPER
+    _next() {
+
+        // Checking
+        if (!this._queue || XP.isVoid(this.concurrency) || XP.isVoid(this.hostConcurrency)) { return; }
+
+        // Let
+        let queued = this._queue.length,
+            index  = 0;
+
+        // Dispatching
+        while (index < this._queue.length && this._active.size < this.concurrency) {
+            if (this._fits(this._queue[index])) { this._start(this._queue.splice(index, 1)[0]); } else { index++; }
+        }
+
+        // Emitting
+        if (queued && !this._queue.length) { this.emit('drain'); }
+    },
+
+    // HELPER
+    _notify() {
+
+        // Emitting
+        if (!this._queue.length) { this.emit('drain'); }
+        if (!this._queue.length && !this._active.size) { this.emit('idle'); }
+    },
+
+    // HELPER
+    _start(entry) {
+
+        // Let
+        let request = entry.request,
+            settle  = state => {
+                if (state === 'pending' || !this._active.has(entry)) { return; }
+                request.removeListener('state', settle);
+                this._active.delete(entry);
+                this._hosts[entry.host]--;
+                this.completed++;
+                this._next();
+                if (!this._active.size && !this._queue.length) { this.emit('idle'); }
+            };
+
+        // Setting
+        this._active.add(entry);
+        this._hosts[entry.host] = (this._hosts[entry.host] || 0) + 1;
+
+        // Listening
+        request.on('state', settle);
+
+        // Submitting
+        if (request.state === 'idle') { request.submit(entry.data).catch(() => {}); }
+
+        // Checking
+        if (request.state !== 'pending') { settle(request.state); }
+    }
+});
+
+/*********************************************************************/
+
+// Globalizing
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPRequestPool = module.exports; }
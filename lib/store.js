@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Copyright (c) 2017 The expand.js authors. All rights reserved.
+ * This code may only be used under the BSD style license found at https://expandjs.github.io/LICENSE.txt
+ * The complete set of authors may be found at https://expandjs.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at https://expandjs.github.io/CONTRIBUTORS.txt
+ */
+
+// Const
+const env = typeof window !== "undefined" ? window : (typeof self !== "undefined" ? self : global),
+    XP    = env.XP || require('expandjs');
+
+/*********************************************************************/
+
+/**
+ * A class used to store cached responses in memory, evicting the least recently used ones.
+ *
+ * Any object implementing `get`, `set` and `delete` can be used as cache store in its place,
+ * returning values or promises (e.g. backed by localStorage or by the file system).
+ *
+ * @class XPMemoryStore
+ * @description A class used to store cached responses in memory
+ * @keywords nodejs, expandjs
+ * @source https://github.com/expandjs/xp-request/blob/master/lib/store.js
+ */
+module.exports = new XP.Class('XPMemoryStore', {
+
+    /**
+     * @constructs
+     * @param {Object} [options]
+     *   @param {number} [options.max = 100] The maximum number of entries
+     */
+    initialize(options) {
+
+        // Asserting
+        XP.assertArgument(XP.isVoid(options) || XP.isObject(options), 1, 'Object');
+
+        // Setting
+        this.entries = new Map();
+        this.options = options || {};
+        this.max     = XP.isDefined(this.options.max) ? this.options.max : 100;
+    },
+
+    /*********************************************************************/
+
+    /**
+     * Removes all the entries.
+     *
+     * @method clear
+     */
+    clear() {
+
+        // Clearing
+        this.entries.clear();
+    },
+
+    /**
+     * Removes an entry.
+     *
+     * @method delete
+     * @param {string} key
+     */
+    delete(key) {
+
+        // Deleting
+        this.entries.delete(key);
+    },
+
+    /**
+     * Returns an entry, marking it as the most recently used.
+     *
+     * @method get
+     * @param {string} key
+     * @returns {Object}
+     */
+    get(key) {
+
+        // Let
+        let value = this.entries.get(key);
+
+        // Checking
+        if (XP.isVoid(value)) { return null; }
+
+        // Refreshing
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        // Returning
+        return value;
+    },
+
+    /**
+     * Stores an entry, evicting the least recently used ones over `max`.
+     *
+     * @method set
+     * @param {string} key
+     * @param {Object} value
+     */
+    set(key, value) {
+
+        // Setting
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        // Evicting
+        while (this.entries.size > this.max) { this.entries.delete(this.entries.keys().next().value); }
+    },
+
+    /*********************************************************************/
+
+    /**
+     * The stored entries, from the least to the most recently used.
+     *
+     * @property entries
+     * @type Map
+     * @readonly
+     */
+    entries: {
+        set(val) { return this.entries || val; },
+        validate(val) { return !(val instanceof Map) && 'Map'; }
+    },
+
+    /**
+     * The maximum number of entries.
+     *
+     * @property max
+     * @type number
+     * @default 100
+     */
+    max: {
+        set(val) { return val; },
+        validate(val) { return !XP.isInt(val, true) && 'number'; }
+    }
+});
+
+/*********************************************************************/
+
+// Globalizing
+if (typeof window !== "undefined" || typeof self !== "undefined") { env.XPMemoryStore = module.exports; }
@@ -7,9 +7,13 @@ module.exports = {
     output: {filename: 'xp-request.js', path: `${__dirname}/dist`},
     plugins: [new Uglify({uglifyOptions: {output: {comments: /^$/}}})],
     externals: {
+        'crypto': 'crypto',
         'expandjs': 'XP',
         'http': 'http',
         'https': 'https',
+        'stream': 'stream',
+        'tls': 'tls',
+        'zlib': 'zlib',
         'xp-buffer': 'XPBuffer',
         'xp-emitter': 'XPEmitter'
     }